@@ -0,0 +1,172 @@
+// Ambient occlusion baked per vertex: rays go out from each vertex over the
+// hemisphere around its normal, and the more of them the mesh itself blocks
+// the darker the vertex. Works on a plain non-indexed triangle list (x, y, z
+// per vertex, three vertices per triangle) like three.js's polyhedron
+// geometries, so it runs the same in a worker or in Node.
+
+// Vertices closer than this are treated as the same point when welding
+const weldPrecision = 1e4;
+
+// Merge the copies of each corner a non-indexed mesh has, one per triangle
+// touching it. Returns the unique points and the point each vertex maps to
+function weld(positions) {
+  const keys = new Map();
+  const points = [];
+  const indices = new Uint32Array(positions.length / 3);
+  for (let i = 0; i < indices.length; i++) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    const key = `${Math.round(x * weldPrecision)},${Math.round(y * weldPrecision)},${Math.round(z * weldPrecision)}`;
+    if (!keys.has(key)) {
+      keys.set(key, points.length / 3);
+      points.push(x, y, z);
+    }
+    indices[i] = keys.get(key);
+  }
+  return { points, indices };
+}
+
+// Smooth normal per point, the area-weighted average of the faces around it
+function pointNormals(points, indices) {
+  const normals = new Float64Array(points.length);
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i] * 3;
+    const b = indices[i + 1] * 3;
+    const c = indices[i + 2] * 3;
+    const abx = points[b] - points[a], aby = points[b + 1] - points[a + 1], abz = points[b + 2] - points[a + 2];
+    const acx = points[c] - points[a], acy = points[c + 1] - points[a + 1], acz = points[c + 2] - points[a + 2];
+    const nx = aby * acz - abz * acy;
+    const ny = abz * acx - abx * acz;
+    const nz = abx * acy - aby * acx;
+    [a, b, c].forEach(p => {
+      normals[p] += nx;
+      normals[p + 1] += ny;
+      normals[p + 2] += nz;
+    });
+  }
+  for (let p = 0; p < normals.length; p += 3) {
+    const length = Math.hypot(normals[p], normals[p + 1], normals[p + 2]) || 1;
+    normals[p] /= length;
+    normals[p + 1] /= length;
+    normals[p + 2] /= length;
+  }
+  return normals;
+}
+
+// Evenly spread directions around +z, as many near the horizon as straight
+// up, since the low ones are all a shallow hollow's rim blocks. Fixed rather
+// than random, so baking doesn't use up the asteroid's random numbers
+function hemisphereSamples(count) {
+  const samples = [];
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  for (let i = 0; i < count; i++) {
+    const height = 1 - (i + 0.5) / count;
+    const radius = Math.sqrt(1 - height * height);
+    samples.push([
+      radius * Math.cos(i * goldenAngle),
+      radius * Math.sin(i * goldenAngle),
+      height
+    ]);
+  }
+  return samples;
+}
+
+// Distance along the ray to triangle abc (Möller-Trumbore), or Infinity
+function rayDistance(origin, direction, points, a, b, c) {
+  const e1x = points[b] - points[a], e1y = points[b + 1] - points[a + 1], e1z = points[b + 2] - points[a + 2];
+  const e2x = points[c] - points[a], e2y = points[c + 1] - points[a + 1], e2z = points[c + 2] - points[a + 2];
+  const px = direction[1] * e2z - direction[2] * e2y;
+  const py = direction[2] * e2x - direction[0] * e2z;
+  const pz = direction[0] * e2y - direction[1] * e2x;
+  const determinant = e1x * px + e1y * py + e1z * pz;
+  if (Math.abs(determinant) < 1e-12) return Infinity; // Parallel
+
+  const tx = origin[0] - points[a], ty = origin[1] - points[a + 1], tz = origin[2] - points[a + 2];
+  const u = (tx * px + ty * py + tz * pz) / determinant;
+  if (u < 0 || u > 1) return Infinity;
+  const qx = ty * e1z - tz * e1y;
+  const qy = tz * e1x - tx * e1z;
+  const qz = tx * e1y - ty * e1x;
+  const v = (direction[0] * qx + direction[1] * qy + direction[2] * qz) / determinant;
+  if (v < 0 || u + v > 1) return Infinity;
+  const distance = (e2x * qx + e2y * qy + e2z * qz) / determinant;
+  return distance > 0 ? distance : Infinity;
+}
+
+// Faces a ray from point could hit within maxDistance: not touching the point
+// itself, in reach, and at least partly above the plane the rays leave from.
+// On a mostly convex rock that's a small part of the mesh
+function nearbyFaces(points, indices, normals, point, maxDistance) {
+  const p = point * 3;
+  const faces = [];
+  for (let i = 0; i < indices.length; i += 3) {
+    if (indices[i] === point || indices[i + 1] === point || indices[i + 2] === point) continue;
+
+    let inReach = false;
+    let above = false;
+    for (let j = i; j < i + 3; j++) {
+      const q = indices[j] * 3;
+      const dx = points[q] - points[p], dy = points[q + 1] - points[p + 1], dz = points[q + 2] - points[p + 2];
+      if (dx * normals[p] + dy * normals[p + 1] + dz * normals[p + 2] > 0) above = true;
+      if (dx * dx + dy * dy + dz * dz < maxDistance * maxDistance) inReach = true;
+    }
+    if (above && inReach) faces.push(indices[i] * 3, indices[i + 1] * 3, indices[i + 2] * 3);
+  }
+  return faces;
+}
+
+// How open each vertex is, from 0 (fully enclosed) to 1 (nothing nearby): the
+// share of its rays that don't hit the mesh within maxDistance. That wants to
+// be about as wide as the hollows, any further and the far side of the rock
+// counts too
+export function bakeAmbientOcclusion(positions, { rays = 24, maxDistance = 1 } = {}) {
+  const { points, indices } = weld(positions);
+  const normals = pointNormals(points, indices);
+  const samples = hemisphereSamples(rays);
+  const openness = new Float32Array(points.length / 3);
+  const origin = [0, 0, 0];
+  const direction = [0, 0, 0];
+
+  for (let point = 0; point < openness.length; point++) {
+    const p = point * 3;
+    const nx = normals[p], ny = normals[p + 1], nz = normals[p + 2];
+
+    // Any two axes at right angles to the normal
+    const helper = Math.abs(nx) > 0.9 ? [0, 1, 0] : [1, 0, 0];
+    let tx = helper[1] * nz - helper[2] * ny;
+    let ty = helper[2] * nx - helper[0] * nz;
+    let tz = helper[0] * ny - helper[1] * nx;
+    const length = Math.hypot(tx, ty, tz);
+    tx /= length;
+    ty /= length;
+    tz /= length;
+    const bx = ny * tz - nz * ty;
+    const by = nz * tx - nx * tz;
+    const bz = nx * ty - ny * tx;
+
+    // Start just off the surface so the ray doesn't hit where it starts
+    origin[0] = points[p] + nx * 1e-4;
+    origin[1] = points[p + 1] + ny * 1e-4;
+    origin[2] = points[p + 2] + nz * 1e-4;
+
+    const faces = nearbyFaces(points, indices, normals, point, maxDistance);
+    let blocked = 0;
+    samples.forEach(([sx, sy, sz]) => {
+      direction[0] = tx * sx + bx * sy + nx * sz;
+      direction[1] = ty * sx + by * sy + ny * sz;
+      direction[2] = tz * sx + bz * sy + nz * sz;
+
+      for (let i = 0; i < faces.length; i += 3) {
+        if (rayDistance(origin, direction, points, faces[i], faces[i + 1], faces[i + 2]) < maxDistance) {
+          blocked++;
+          break;
+        }
+      }
+    });
+    openness[point] = 1 - blocked / rays;
+  }
+
+  // Back out to one value per original vertex
+  return Float32Array.from(indices, point => openness[point]);
+}
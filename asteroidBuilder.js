@@ -0,0 +1,277 @@
+// Builds asteroid shapes for the asteroid library: a noise-displaced rock with
+// vertex shading and baked ambient occlusion, plus craters, boulders, cracks,
+// ridges and dust merged into one geometry per detail material. Asteroids are
+// built at radius 1 and scaled to size when drawn.
+//
+// The same code runs in asteroidWorker.js and, as a fallback, on the main
+// thread. The two load three.js and SimplexNoise differently (a worker can't
+// see the page's import map), so they're passed in rather than imported. The
+// result is plain typed arrays that can be transferred out of the worker:
+//   { rock, details: [{ material, attributes }], cracks, dust }
+// where rock and each attributes are { position, normal, uv, color? } and
+// material names one of the shared detail materials in script.js
+
+import { bakeAmbientOcclusion } from './ambientOcclusion.js';
+import { createRandom } from './random.js';
+
+// Rocks are built at radius 1 but their noise is sampled as for a mid-sized
+// one, so the bumps and hollows are as big relative to the rock as they were
+// when every rock was built at its own size
+const noiseScale = 0.75;
+
+// A surface detail count scaled by the quality setting, never below one
+function scaledCount(count, amount) {
+  return Math.max(1, Math.round(count * amount));
+}
+
+export function createAsteroidBuilder({ THREE, SimplexNoise, mergeGeometries }) {
+  // Detail pieces are built as separate meshes tagged with their material
+  // name, then merged
+  function detailMesh(geometry, material) {
+    const mesh = new THREE.Mesh(geometry);
+    mesh.userData.material = material;
+    return mesh;
+  }
+
+  function attributeArrays(geometry) {
+    const arrays = {};
+    Object.keys(geometry.attributes).forEach(name => {
+      arrays[name] = geometry.attributes[name].array;
+    });
+    return arrays;
+  }
+
+  function createRock(random, size) {
+    const geometry = new THREE.DodecahedronGeometry(size, 1);
+
+    // Distort vertices for more natural look
+    const positions = geometry.attributes.position.array;
+    for (let i = 0; i < positions.length; i += 3) {
+      positions[i] *= 0.8 + random() * 0.4;
+      positions[i + 1] *= 0.8 + random() * 0.4;
+      positions[i + 2] *= 0.8 + random() * 0.4;
+    }
+
+    geometry.computeVertexNormals();
+    return detailMesh(geometry, 'rock');
+  }
+
+  function addCraters(random, root, amount) {
+    const numCraters = scaledCount(Math.floor(random() * 8) + 5, amount);
+    const debrisPerCrater = scaledCount(5, amount);
+    for (let i = 0; i < numCraters; i++) {
+      const craterSize = random() * 0.4 + 0.1;
+
+      // Crater from a half sphere
+      const crater = detailMesh(
+        new THREE.SphereGeometry(craterSize, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2),
+        'crater'
+      );
+
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos(random() * 2 - 1);
+      crater.position.setFromSpherical(new THREE.Spherical(1.01, phi, theta));
+      crater.lookAt(root.position);
+
+      // Add debris inside crater
+      for (let j = 0; j < debrisPerCrater; j++) {
+        const debris = detailMesh(new THREE.TetrahedronGeometry(craterSize * 0.1), 'debris');
+        debris.position.copy(crater.position);
+        debris.position.x += (random() - 0.5) * craterSize * 0.8;
+        debris.position.y += (random() - 0.5) * craterSize * 0.8;
+        debris.position.z += random() * craterSize * 0.1;
+        debris.lookAt(root.position);
+        root.add(debris);
+      }
+
+      root.add(crater);
+    }
+  }
+
+  function addRocks(random, root, amount) {
+    const numRocks = scaledCount(Math.floor(random() * 15) + 10, amount);
+    for (let i = 0; i < numRocks; i++) {
+      const rock = createRock(random, random() * 0.15 + 0.05);
+
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos(random() * 2 - 1);
+      rock.position.setFromSpherical(new THREE.Spherical(1.02, phi, theta));
+      rock.rotation.set(random() * Math.PI, random() * Math.PI, random() * Math.PI);
+
+      root.add(rock);
+    }
+  }
+
+  // Jagged lines along the surface, as pairs of points for line segments
+  function buildCracks(random, root, amount) {
+    const points = [];
+    const numCracks = scaledCount(Math.floor(random() * 5) + 3, amount);
+    for (let i = 0; i < numCracks; i++) {
+      const length = random() * 0.5 + 0.5;
+      const segments = 10;
+      const crack = new THREE.Object3D();
+      const strip = [];
+
+      for (let j = 0; j < segments; j++) {
+        const t = j / (segments - 1);
+        strip.push(new THREE.Vector3(
+          (random() - 0.5) * 0.2 * length,
+          t * length,
+          (random() - 0.5) * 0.2 * length
+        ));
+      }
+
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos(random() * 2 - 1);
+      crack.position.setFromSpherical(new THREE.Spherical(1.01, phi, theta));
+      crack.lookAt(root.position);
+      crack.updateMatrix();
+
+      strip.forEach(point => point.applyMatrix4(crack.matrix));
+      for (let j = 0; j < strip.length - 1; j++) {
+        points.push(strip[j], strip[j + 1]);
+      }
+    }
+    return new Float32Array(points.flatMap(point => [point.x, point.y, point.z]));
+  }
+
+  function addRidges(random, root, amount) {
+    const numMountains = scaledCount(Math.floor(random() * 3) + 2, amount);
+    for (let i = 0; i < numMountains; i++) {
+      // Create mountain using cone geometry
+      const height = random() * 0.4 + 0.2;
+      const radius = random() * 0.3 + 0.1;
+      const geometry = new THREE.ConeGeometry(radius, height, 8, 1, true);
+
+      // Distort vertices for more natural look
+      const positions = geometry.attributes.position.array;
+      for (let j = 0; j < positions.length; j += 3) {
+        const distortion = (random() - 0.5) * 0.2;
+        positions[j] *= 1 + distortion;
+        positions[j + 1] *= 1 + Math.abs(distortion);
+        positions[j + 2] *= 1 + distortion;
+      }
+      geometry.computeVertexNormals();
+
+      const mountain = detailMesh(geometry, 'rock');
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos(random() * 2 - 1);
+      mountain.position.setFromSpherical(new THREE.Spherical(1.01, phi, theta));
+      mountain.lookAt(root.position);
+
+      // Random rotation around normal
+      mountain.rotateOnAxis(mountain.position.clone().normalize(), random() * Math.PI * 2);
+
+      // Add some rocks around the base
+      const numRocks = scaledCount(Math.floor(random() * 5) + 3, amount);
+      for (let j = 0; j < numRocks; j++) {
+        const rock = createRock(random, radius * 0.2);
+        rock.position.copy(mountain.position);
+        rock.position.x += (random() - 0.5) * radius;
+        rock.position.y += (random() - 0.5) * radius;
+        rock.position.z += random() * radius * 0.1;
+        rock.lookAt(root.position);
+        root.add(rock);
+      }
+
+      root.add(mountain);
+    }
+  }
+
+  // A shell of dust points just off the surface
+  function buildDust(random, amount) {
+    const particleCount = scaledCount(50, amount);
+    const positions = new Float32Array(particleCount * 3);
+
+    for (let i = 0; i < particleCount * 3; i += 3) {
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos(random() * 2 - 1);
+      const radius = 1 + random() * 0.1;
+
+      positions[i] = radius * Math.sin(phi) * Math.cos(theta);
+      positions[i + 1] = radius * Math.sin(phi) * Math.sin(theta);
+      positions[i + 2] = radius * Math.cos(phi);
+    }
+    return positions;
+  }
+
+  // Bake the detail meshes into one geometry per material so a detailed
+  // asteroid costs a handful of draw calls
+  function mergeDetails(root) {
+    const groups = new Map(); // material name -> geometries in the rock's space
+    root.children.forEach(child => {
+      child.updateMatrix();
+      // Mixed indexed and non-indexed shapes only merge once all are non-indexed
+      const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry;
+      geometry.applyMatrix4(child.matrix);
+      const material = child.userData.material;
+      if (!groups.has(material)) groups.set(material, []);
+      groups.get(material).push(geometry);
+    });
+
+    return [...groups].map(([material, geometries]) => ({
+      material,
+      attributes: attributeArrays(mergeGeometries(geometries))
+    }));
+  }
+
+  // options are { detail, surfaceDetail, aoRays }: the rock's subdivision
+  // level, how many craters, boulders and the rest to add (0 for none, 1 for
+  // the usual amount) and how many rays each vertex casts when baking
+  // ambient occlusion
+  return function buildAsteroid(seed, options) {
+    const random = createRandom(seed);
+    const geometry = new THREE.IcosahedronGeometry(1, options.detail);
+
+    // Noise-based displacement
+    const positions = geometry.attributes.position.array;
+    const noise = new SimplexNoise(random);
+    const vertex = new THREE.Vector3();
+    for (let i = 0; i < positions.length; i += 3) {
+      vertex.fromArray(positions, i);
+      const noiseValue = noise.noise3D(vertex.x * noiseScale, vertex.y * noiseScale, vertex.z * noiseScale);
+      vertex.multiplyScalar(1 + noiseValue * 0.3).toArray(positions, i);
+    }
+    geometry.computeVertexNormals();
+
+    // Darken the hollows, squaring the baked value so they stand out under
+    // the lighting, and vary the shade just slightly for each vertex so the
+    // variation doesn't drown them out
+    const ao = bakeAmbientOcclusion(positions, { rays: options.aoRays });
+    const colors = new Float32Array(positions.length);
+    for (let i = 0; i < colors.length; i += 3) {
+      colors.fill((0.6 + random() * 0.1) * ao[i / 3] ** 2, i, i + 3);
+    }
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+    const asteroid = {
+      rock: attributeArrays(geometry),
+      details: [],
+      cracks: null,
+      dust: null
+    };
+
+    const amount = options.surfaceDetail;
+    if (amount > 0) {
+      const root = new THREE.Object3D();
+      addCraters(random, root, amount);
+      addRocks(random, root, amount);
+      asteroid.cracks = buildCracks(random, root, amount);
+      addRidges(random, root, amount);
+      asteroid.dust = buildDust(random, amount);
+      asteroid.details = mergeDetails(root);
+    }
+    return asteroid;
+  };
+}
+
+// Every buffer in a built asteroid, for postMessage's transfer list
+export function asteroidTransferables(asteroid) {
+  const arrays = [
+    ...Object.values(asteroid.rock),
+    ...asteroid.details.flatMap(detail => Object.values(detail.attributes)),
+    asteroid.cracks,
+    asteroid.dust
+  ];
+  return [...new Set(arrays.filter(Boolean).map(array => array.buffer))];
+}
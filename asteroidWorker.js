@@ -0,0 +1,21 @@
+// Builds the asteroid library off the main thread and posts each asteroid back
+// as soon as it's done, its arrays transferred rather than copied.
+//
+// Workers don't see the page's import map, and simplex-noise 2.4 is only
+// published as a browser global, so both come from esm.sh here, at the same
+// versions index.html loads
+
+import * as THREE from 'https://esm.sh/three@0.160.0';
+import { mergeGeometries } from 'https://esm.sh/three@0.160.0/examples/jsm/utils/BufferGeometryUtils.js';
+import SimplexNoise from 'https://esm.sh/simplex-noise@2.4.0';
+import { asteroidTransferables, createAsteroidBuilder } from './asteroidBuilder.js';
+
+const buildAsteroid = createAsteroidBuilder({ THREE, SimplexNoise, mergeGeometries });
+
+// Message is { seeds, options }; replies are { index, asteroid }, one per seed
+self.onmessage = ({ data }) => {
+  data.seeds.forEach((seed, index) => {
+    const asteroid = buildAsteroid(seed, data.options);
+    self.postMessage({ index, asteroid }, asteroidTransferables(asteroid));
+  });
+};
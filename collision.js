@@ -0,0 +1,102 @@
+// Collision shapes for the simulation: spheres, capsules (a segment with a
+// radius, for long shapes like the ship) and swept spheres for fast movers
+// that could otherwise pass through something between two steps. Points are
+// plain { x, y, z } objects. A uniform grid keeps the number of pairs tested
+// down as the field fills up.
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+// Squared distance from a point to the closest point on segment start-end
+export function segmentDistanceSq(point, start, end) {
+  const segment = subtract(end, start);
+  const lengthSq = dot(segment, segment);
+  const toPoint = subtract(point, start);
+  const t = lengthSq > 0 ? Math.min(Math.max(dot(toPoint, segment) / lengthSq, 0), 1) : 0;
+  const dx = toPoint.x - segment.x * t;
+  const dy = toPoint.y - segment.y * t;
+  const dz = toPoint.z - segment.z * t;
+  return dx * dx + dy * dy + dz * dz;
+}
+
+// capsule is { start, end, radius }
+export function capsuleOverlapsSphere(capsule, center, radius) {
+  const reach = capsule.radius + radius;
+  return segmentDistanceSq(center, capsule.start, capsule.end) <= reach * reach;
+}
+
+// How far along start-end (0 to 1) a point moving that way first comes
+// within radius of center, or null if it never does
+export function sweepSphere(start, end, center, radius) {
+  const path = subtract(end, start);
+  const fromCenter = subtract(start, center);
+  const c = dot(fromCenter, fromCenter) - radius * radius;
+  if (c <= 0) return 0; // Already touching
+
+  const a = dot(path, path);
+  const b = dot(fromCenter, path);
+  if (a === 0 || b >= 0) return null; // Not moving, or moving away
+
+  const discriminant = b * b - a * c;
+  if (discriminant < 0) return null;
+  const t = (-b - Math.sqrt(discriminant)) / a;
+  return t <= 1 ? t : null;
+}
+
+// Buckets items by the cubic cells their bounding spheres touch, so a query
+// only looks at items in the same neighbourhood
+export class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  insert(item, center, radius) {
+    this.forEachCell(center, radius, key => {
+      const cell = this.cells.get(key);
+      if (cell) {
+        cell.push(item);
+      } else {
+        this.cells.set(key, [item]);
+      }
+    });
+  }
+
+  // Items sharing a cell with the given sphere, each once. The order only
+  // depends on what was inserted where, so replays see the same one
+  query(center, radius) {
+    const found = new Set();
+    this.forEachCell(center, radius, key => {
+      const cell = this.cells.get(key);
+      if (cell) cell.forEach(item => found.add(item));
+    });
+    return found;
+  }
+
+  forEachCell(center, radius, callback) {
+    const size = this.cellSize;
+    const minX = Math.floor((center.x - radius) / size);
+    const maxX = Math.floor((center.x + radius) / size);
+    const minY = Math.floor((center.y - radius) / size);
+    const maxY = Math.floor((center.y + radius) / size);
+    const minZ = Math.floor((center.z - radius) / size);
+    const maxZ = Math.floor((center.z + radius) / size);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          // Cells within ±1024 of the origin get unique keys
+          callback(((x + 1024) * 2048 + (y + 1024)) * 2048 + (z + 1024));
+        }
+      }
+    }
+  }
+}
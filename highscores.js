@@ -0,0 +1,59 @@
+// Top-10 leaderboard kept in localStorage. Entries look like
+//   { name, score, date, duration, accuracy, view }
+// with date as an ISO string, duration in seconds and accuracy from 0 to 1.
+
+const storageKey = 'asteroids.highScores';
+const nameKey = 'asteroids.playerName';
+export const maxHighScores = 10;
+
+// Storage can be unavailable (private mode) or hold junk; treat both as empty
+export function loadHighScores() {
+  try {
+    const scores = JSON.parse(localStorage.getItem(storageKey));
+    return Array.isArray(scores) ? scores : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveHighScores(scores) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(scores));
+  } catch (error) {
+    // Not fatal, the table just won't persist
+  }
+}
+
+export function qualifiesForHighScore(score) {
+  if (score <= 0) return false;
+  const scores = loadHighScores();
+  return scores.length < maxHighScores || score > scores[scores.length - 1].score;
+}
+
+// Insert an entry and return its rank (0-based), or -1 if it didn't make it
+export function addHighScore(entry) {
+  const scores = loadHighScores();
+  scores.push(entry);
+  // Ties go to whoever got there first
+  scores.sort((a, b) => b.score - a.score);
+  const rank = scores.indexOf(entry);
+  saveHighScores(scores.slice(0, maxHighScores));
+  return rank < maxHighScores ? rank : -1;
+}
+
+// Remember the last name typed so it can be prefilled next time
+export function loadPlayerName() {
+  try {
+    return localStorage.getItem(nameKey) || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+export function savePlayerName(name) {
+  try {
+    localStorage.setItem(nameKey, name);
+  } catch (error) {
+    // Ignore, see saveHighScores
+  }
+}
@@ -0,0 +1,128 @@
+// Keyboard bindings for game actions, saved in localStorage. Keys are stored
+// as KeyboardEvent.code values, which name the physical key, so WASD stays in
+// the same place on AZERTY and other layouts.
+
+const storageKey = 'asteroids.keyBindings';
+
+// Each action can have up to this many keys
+export const maxKeysPerAction = 2;
+
+// In the order the settings screen lists them
+export const actions = {
+  moveLeft: 'Move left',
+  moveRight: 'Move right',
+  moveUp: 'Move up',
+  moveDown: 'Move down',
+  fire: 'Fire',
+  weaponBlaster: 'Blaster',
+  weaponSpread: 'Spread shot',
+  weaponLaser: 'Laser',
+  weaponMissile: 'Homing missiles',
+  nextWeapon: 'Next weapon',
+  viewDefault: 'Default view',
+  viewSide: 'Side view',
+  viewTop: 'Top view',
+  viewChase: 'Chase view',
+  viewCinematic: 'Cinematic view',
+  viewFirstPerson: 'First-person view',
+  pause: 'Pause',
+  debugInfo: 'Debug info'
+};
+
+export const defaultBindings = {
+  moveLeft: ['KeyA', 'ArrowLeft'],
+  moveRight: ['KeyD', 'ArrowRight'],
+  moveUp: ['KeyW', 'ArrowUp'],
+  moveDown: ['KeyS', 'ArrowDown'],
+  fire: ['Space'],
+  weaponBlaster: ['Digit7'],
+  weaponSpread: ['Digit8'],
+  weaponLaser: ['Digit9'],
+  weaponMissile: ['Digit0'],
+  nextWeapon: ['KeyQ'],
+  viewDefault: ['Digit1'],
+  viewSide: ['Digit2'],
+  viewTop: ['Digit3'],
+  viewChase: ['Digit4'],
+  viewCinematic: ['Digit5'],
+  viewFirstPerson: ['Digit6'],
+  pause: ['KeyP', 'Escape'],
+  debugInfo: ['Backquote']
+};
+
+function copyBindings(bindings) {
+  const copy = {};
+  Object.keys(actions).forEach(action => {
+    copy[action] = [...bindings[action]];
+  });
+  return copy;
+}
+
+// Saved bindings over the defaults. Anything missing or malformed (e.g. from
+// an older version) falls back to the default for that action
+export function loadBindings() {
+  const bindings = copyBindings(defaultBindings);
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    if (saved && typeof saved === 'object') {
+      Object.keys(actions).forEach(action => {
+        const keys = saved[action];
+        if (Array.isArray(keys) && keys.every(key => typeof key === 'string')) {
+          bindings[action] = keys.slice(0, maxKeysPerAction);
+        }
+      });
+    }
+  } catch (error) {
+    // Unreadable storage, use the defaults
+  }
+  return bindings;
+}
+
+export function saveBindings(bindings) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(bindings));
+  } catch (error) {
+    // Not fatal, the bindings just won't persist
+  }
+}
+
+export function resetBindings() {
+  try {
+    localStorage.removeItem(storageKey);
+  } catch (error) {
+    // Nothing saved to remove
+  }
+  return copyBindings(defaultBindings);
+}
+
+// The action a key is bound to, or null
+export function actionForCode(bindings, code) {
+  return Object.keys(bindings).find(action => bindings[action].includes(code)) || null;
+}
+
+// Bind a key to an action's slot. Returns the action already using the key
+// if there's a conflict, in which case nothing changes
+export function bindKey(bindings, action, slot, code) {
+  const existing = actionForCode(bindings, code);
+  if (existing && existing !== action) return existing;
+
+  const keys = bindings[action].filter(key => key !== code);
+  keys.splice(Math.min(slot, keys.length), 0, code);
+  bindings[action] = keys.slice(0, maxKeysPerAction);
+  return null;
+}
+
+export function unbindKey(bindings, action, slot) {
+  bindings[action] = bindings[action].filter((key, i) => i !== slot);
+}
+
+// Short readable name for a key code
+export function keyLabel(code) {
+  if (!code) return '—';
+  const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+  if (arrows[code]) return arrows[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (/^Numpad\d$/.test(code)) return `Num ${code.slice(6)}`;
+  return code;
+}
@@ -0,0 +1,130 @@
+// Level files: timed waves of asteroids, enemy ships, power-ups and bosses.
+// levels/index.json lists the level files in play order, and endless (the
+// procedural mode, see simulation.js) always comes last.
+//
+// A level is plain JSON:
+//   { id, name, waves: [{ at, spawns: [spawn, ...] }, ...] }
+// where at is seconds into the level (the clock stops while a boss is up)
+// and each spawn is one of:
+//   { obstacle: 'rock', count, interval, region, trajectory, speed, size }
+//   { enemy: 'strafe', count, interval, region }
+//   { powerUp: 'shield' or 'random', count, interval, region, speed, chance }
+//   { boss: true }
+// Everything but the type is optional:
+//   count / interval  how many, and seconds between them (1, 0)
+//   region            { x: [min, max], y: [min, max] } to spawn in at the horizon
+//   trajectory        'straight' down z, or 'aimed' / 'curved' at the player
+//   speed             units per second, scaled by the obstacle type's speed (12)
+//   size              [min, max], otherwise the obstacle type's own range
+//   chance            of a power-up actually dropping (1)
+// The level is complete once every wave has been sent and the field is clear
+
+import { endlessLevel, enemyBehaviours, obstacleTypes, powerUpTypes } from './simulation.js';
+
+const defaultRegions = {
+  obstacle: { x: [-20, 20], y: [-10, 10] },
+  enemy: { x: [-8, 8], y: [-4, 4] },
+  powerUp: { x: [-15, 15], y: [-7.5, 7.5] },
+  boss: { x: [0, 0], y: [0, 0] }
+};
+const defaultSpeed = 12;
+const trajectories = ['straight', 'aimed', 'curved'];
+
+function isRange(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) && value[0] <= value[1];
+}
+
+// Check one spawn and fill in its defaults
+function parseSpawn(spawn, where) {
+  if (!spawn || typeof spawn !== 'object') {
+    throw new Error(`${where} is not an object`);
+  }
+
+  const kinds = Object.keys(defaultRegions).filter(kind => kind in spawn);
+  if (kinds.length !== 1) {
+    throw new Error(`${where} needs exactly one of obstacle, enemy, powerUp or boss`);
+  }
+  const kind = kinds[0];
+  const known = {
+    obstacle: obstacleTypes,
+    enemy: enemyBehaviours,
+    powerUp: { random: true, ...powerUpTypes },
+    boss: { true: true }
+  }[kind];
+  if (!Object.hasOwn(known, String(spawn[kind]))) {
+    throw new Error(`${where} has unknown ${kind} '${spawn[kind]}'`);
+  }
+
+  const parsed = {
+    [kind]: spawn[kind],
+    count: spawn.count ?? 1,
+    interval: spawn.interval ?? 0,
+    region: spawn.region ?? defaultRegions[kind],
+    trajectory: spawn.trajectory ?? 'straight',
+    speed: spawn.speed ?? defaultSpeed,
+    size: spawn.size ?? null,
+    chance: spawn.chance ?? 1
+  };
+
+  if (!Number.isInteger(parsed.count) || parsed.count < 1 || !(parsed.interval >= 0)) {
+    throw new Error(`${where} has a bad count or interval`);
+  }
+  if (!isRange(parsed.region.x) || !isRange(parsed.region.y)) {
+    throw new Error(`${where} has a bad region`);
+  }
+  if (!trajectories.includes(parsed.trajectory)) {
+    throw new Error(`${where} has unknown trajectory '${parsed.trajectory}'`);
+  }
+  if (!(parsed.speed > 0) || (parsed.size && !isRange(parsed.size)) || !(parsed.chance >= 0)) {
+    throw new Error(`${where} has a bad speed, size or chance`);
+  }
+  return parsed;
+}
+
+// Sanity check a level and fill in its defaults, waves sorted by start time
+export function parseLevel(data, file = 'level') {
+  if (!data || typeof data.id !== 'string' || typeof data.name !== 'string' || !Array.isArray(data.waves)) {
+    throw new Error(`${file} is missing its id, name or waves`);
+  }
+
+  const waves = data.waves.map((wave, i) => {
+    const where = `${file} wave ${i + 1}`;
+    if (!wave || !(wave.at >= 0) || !Array.isArray(wave.spawns)) {
+      throw new Error(`${where} is missing its start time or spawns`);
+    }
+    return {
+      at: wave.at,
+      spawns: wave.spawns.map((spawn, j) => parseSpawn(spawn, `${where} spawn ${j + 1}`))
+    };
+  });
+  waves.sort((a, b) => a.at - b.at);
+
+  return { id: data.id, name: data.name, waves };
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Couldn't load ${url} (${response.status})`);
+  }
+  return response.json();
+}
+
+// Every level listed in the index, then endless
+export async function loadLevels(indexUrl = 'levels/index.json') {
+  const index = await fetchJson(indexUrl);
+  if (!Array.isArray(index)) {
+    throw new Error(`${indexUrl} should be a list of level files`);
+  }
+
+  const levels = await Promise.all(index.map(async file => {
+    const url = new URL(file, new URL(indexUrl, location.href)).href;
+    return parseLevel(await fetchJson(url), file);
+  }));
+
+  const ids = new Set(levels.map(level => level.id));
+  if (ids.size !== levels.length || ids.has(endlessLevel.id)) {
+    throw new Error('Level ids must be unique');
+  }
+  return [...levels, endlessLevel];
+}
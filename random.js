@@ -0,0 +1,38 @@
+// Seedable pseudo-random numbers so a run can be reproduced from its seed.
+// Everything that shapes the asteroid field draws from one of these instead
+// of Math.random.
+
+// mulberry32: returns a function that behaves like Math.random
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Draw a 32-bit seed, e.g. to give each asteroid its own generator
+export function nextSeed(random) {
+  return Math.floor(random() * 4294967296);
+}
+
+// Fresh seed for a new run
+export function randomSeed() {
+  return nextSeed(Math.random);
+}
+
+// Seeds from the URL may be numbers or any text (hashed with FNV-1a)
+export function parseSeed(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value) >>> 0;
+  }
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,78 @@
+// Run recordings: the seed plus every input command with the simulation tick
+// it was applied on. Feeding the same commands back at the same ticks into a
+// simulation reset with the same seed reproduces the run exactly.
+//
+// A recording is plain JSON:
+//   { version, seed, aspect, view, level, ticks, score, events: [[tick, action, value?], ...] }
+// level is the id of the level the run started on
+
+// Bumped whenever the meaning of a command changes or the same inputs would
+// play out differently:
+//   2  the one-shot 'shoot' became a held 'fire' trigger
+//   3  weapons
+//   4  asteroid health and fragments
+//   5  aimed and curving asteroids
+//   6  enemy ships
+//   7  bosses
+//   8  levels
+//   9  lives
+//   10 collision shapes
+export const replayVersion = 10;
+
+export class ReplayRecorder {
+  // settings holds anything besides the seed the run depends on, e.g. the
+  // playfield aspect ratio and starting camera view
+  constructor(seed, settings = {}) {
+    this.recording = {
+      version: replayVersion,
+      seed,
+      ...settings,
+      events: []
+    };
+  }
+
+  record(tick, command) {
+    this.recording.events.push([tick, ...command]);
+  }
+
+  // Stamp the outcome on the recording and return it
+  finish(summary) {
+    return Object.assign(this.recording, summary);
+  }
+}
+
+export class ReplayPlayer {
+  constructor(recording) {
+    this.recording = recording;
+    this.index = 0;
+  }
+
+  // Commands recorded for the given tick, in their original order
+  commandsFor(tick) {
+    const events = this.recording.events;
+    const commands = [];
+    while (this.index < events.length && events[this.index][0] <= tick) {
+      commands.push(events[this.index].slice(1));
+      this.index++;
+    }
+    return commands;
+  }
+}
+
+// Parse and sanity check a recording loaded from a file
+export function parseReplay(text) {
+  let recording;
+  try {
+    recording = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (!recording || recording.version !== replayVersion) {
+    throw new Error('Unsupported replay version');
+  }
+  if (!Number.isInteger(recording.seed) || typeof recording.level !== 'string' || !Array.isArray(recording.events)) {
+    throw new Error('Replay file is missing its seed, level or events');
+  }
+  return recording;
+}
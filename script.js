@@ -1,11 +1,75 @@
 // Import Three.js
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import {
+  GameSimulation, SimulationClock, endlessLevel, powerUpTypes, weaponOrder, weaponTypes
+} from './simulation.js';
+import { loadLevels } from './levels.js';
+import { createRandom, nextSeed, parseSeed, randomSeed } from './random.js';
+import { ReplayPlayer, ReplayRecorder, parseReplay } from './replay.js';
+import {
+  addHighScore, loadHighScores, loadPlayerName, qualifiesForHighScore, savePlayerName
+} from './highscores.js';
+import {
+  actionForCode, actions, bindKey, keyLabel, loadBindings, maxKeysPerAction, resetBindings,
+  saveBindings, unbindKey
+} from './keybindings.js';
+import { loadSettings, saveSettings, settingChoices } from './settings.js';
+import { createAsteroidBuilder } from './asteroidBuilder.js';
+
+// Player settings, see settings.js. Loaded first since antialiasing can
+// only be chosen when the renderer is created
+const settings = loadSettings();
+
+// What each graphics quality costs: the most screen pixels per CSS pixel,
+// the asteroid library (see AsteroidLibrary), how many particles explosions
+// throw, the number of stars and whether glowing things light their
+// surroundings. Antialiasing changes apply the next time the page loads
+const graphicsPresets = {
+  low: {
+    maxPixelRatio: 0.75,
+    antialias: false,
+    asteroids: { variants: 8, detail: 1, surfaceDetail: 0, aoRays: 12 },
+    particleScale: 0.3,
+    stars: 100,
+    pointLights: false
+  },
+  medium: {
+    maxPixelRatio: 1,
+    antialias: true,
+    asteroids: { variants: 12, detail: 2, surfaceDetail: 0.5, aoRays: 16 },
+    particleScale: 0.6,
+    stars: 150,
+    pointLights: true
+  },
+  high: {
+    maxPixelRatio: 1.5,
+    antialias: true,
+    asteroids: { variants: 16, detail: 2, surfaceDetail: 1, aoRays: 24 },
+    particleScale: 1,
+    stars: 200,
+    pointLights: true
+  },
+  ultra: {
+    maxPixelRatio: 2,
+    antialias: true,
+    asteroids: { variants: 32, detail: 3, surfaceDetail: 1.5, aoRays: 32 },
+    particleScale: 1.5,
+    stars: 400,
+    pointLights: true
+  }
+};
+
+// The quality in use. Starts at the player's choice; adaptive graphics may
+// lower it for the rest of the session
+let graphicsQuality = settings.graphicsQuality;
+let graphics = graphicsPresets[graphicsQuality];
 
 // Three.js setup
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-const renderer = new THREE.WebGLRenderer({ antialias: true });
+const renderer = new THREE.WebGLRenderer({ antialias: graphics.antialias });
 renderer.setSize(window.innerWidth, window.innerHeight);
 document.body.appendChild(renderer.domElement);
 
@@ -25,14 +89,251 @@ camera.position.set(0, 0, 20);
 camera.rotation.set(0, 0, 0);
 camera.lookAt(0, 0, 0);
 
-// Game state
-let score = 0;
-let gameOver = false;
-let obstacles = [];
-let stars = [];
-let projectiles = [];
-const maxObstacles = 5;
-const maxDifficultyScore = 35;
+// Game state. Score, obstacles, projectiles and collisions live in the
+// headless GameSimulation (simulation.js); this file renders it
+let starfield = null;
+let asteroidLibrary = null; // Shapes for Obstacle3D, see AsteroidLibrary
+let pendingAsteroidLibrary = null; // Its replacement, see currentAsteroidLibrary
+
+// Game flow. The simulation only advances while 'playing'; 'dying' runs the
+// death camera with everything else frozen, 'paused' freezes it all and the
+// title screen just drifts the starfield
+const stateTransitions = {
+  title: ['playing'],
+  playing: ['paused', 'dying'],
+  paused: ['playing', 'title'],
+  dying: ['gameOver'],
+  gameOver: ['playing']
+};
+let gameState = 'title';
+
+function setGameState(state) {
+  if (!stateTransitions[gameState].includes(state)) {
+    throw new Error(`Can't go from ${gameState} to ${state}`);
+  }
+  gameState = state;
+}
+
+// Meshes for the simulation's entities, keyed by the entity they draw
+const obstacleViews = new Map();
+const projectileViews = new Map();
+const powerUpViews = new Map();
+const enemyViews = new Map();
+const enemyShotViews = new Map();
+let bossView = null; // At most one boss at a time
+
+const clock = new SimulationClock();
+
+// Frame-rate independent version of `value += (target - value) * factor`
+// where factor was tuned per 60Hz frame
+function damp(factor, dt) {
+  return 1 - Math.pow(1 - factor, dt * 60);
+}
+
+// Pending timeouts, tracked so resetGame can cancel them
+const pendingTimeouts = new Set();
+
+// Transient effects (explosion flashes and lights) that are still animating.
+// Each has update(dt) returning false once finished, and dispose()
+const effects = new Set();
+
+function scheduleTimeout(callback, delay) {
+  const id = setTimeout(() => {
+    pendingTimeouts.delete(id);
+    callback();
+  }, delay);
+  pendingTimeouts.add(id);
+  return id;
+}
+
+function cancelScheduled() {
+  pendingTimeouts.forEach(id => clearTimeout(id));
+  pendingTimeouts.clear();
+}
+
+// Remove an object from its parent and free its GPU resources, apart from
+// shared geometries, materials and textures
+function disposeObject(object) {
+  object.traverse(child => {
+    if (child.geometry && !child.geometry.userData.shared) child.geometry.dispose();
+    if (child.material) {
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach(material => {
+        if (material.userData.shared) return;
+        if (material.map && !material.map.userData.shared) material.map.dispose();
+        if (material.aoMap && !material.aoMap.userData.shared) material.aoMap.dispose();
+        material.dispose();
+      });
+    }
+  });
+  if (object.parent) object.parent.remove(object);
+}
+
+// Mark a geometry, material or texture as used by many meshes at once, so
+// disposeObject leaves it alone. Shared resources last as long as the page
+function shared(resource) {
+  resource.userData.shared = true;
+  return resource;
+}
+
+// Point lights live on their own layer, so graphics presets without them can
+// switch them all off by hiding the layer from the camera
+const pointLightLayer = 1;
+
+function createPointLight(color, intensity, distance) {
+  const light = new THREE.PointLight(color, intensity, distance);
+  light.layers.set(pointLightLayer);
+  return light;
+}
+
+// Free list of reusable objects, for meshes that would otherwise be built and
+// thrown away many times a second
+class Pool {
+  constructor(create) {
+    this.create = create;
+    this.free = [];
+    this.size = 0; // Everything made so far, in use or not
+  }
+
+  acquire() {
+    if (this.free.length > 0) return this.free.pop();
+    this.size++;
+    return this.create();
+  }
+
+  release(item) {
+    if (item.parent) item.parent.remove(item);
+    this.free.push(item);
+  }
+}
+
+// Glowing projectile meshes, one pool per weapon
+const projectilePools = {};
+
+function projectilePool(weapon) {
+  if (projectilePools[weapon]) return projectilePools[weapon];
+
+  const color = weaponTypes[weapon].color;
+  let geometry;
+  let material;
+  let exhaustGeometry;
+  let exhaustMaterial;
+  if (weapon === 'missile') {
+    // Cone nose first along its heading, with a small exhaust glow behind
+    geometry = shared(new THREE.ConeGeometry(0.15, 0.7, 8));
+    geometry.rotateX(-Math.PI / 2);
+    material = shared(new THREE.MeshPhongMaterial({ color: 0xdddddd, emissive: color, emissiveIntensity: 0.3 }));
+    exhaustGeometry = shared(new THREE.SphereGeometry(0.12, 6, 6));
+    exhaustMaterial = shared(new THREE.MeshBasicMaterial({ color: color }));
+  } else {
+    // Spread pellets are smaller than blaster bolts
+    geometry = shared(new THREE.SphereGeometry(weapon === 'spread' ? 0.12 : 0.2, 8, 8));
+    material = shared(new THREE.MeshBasicMaterial({ color: color }));
+  }
+
+  projectilePools[weapon] = new Pool(() => {
+    const mesh = new THREE.Mesh(geometry, material);
+    if (exhaustGeometry) {
+      const exhaust = new THREE.Mesh(exhaustGeometry, exhaustMaterial);
+      exhaust.position.z = 0.4;
+      mesh.add(exhaust);
+    }
+    // Point light to make it glow
+    mesh.add(createPointLight(color, 1, 2));
+    return mesh;
+  });
+  return projectilePools[weapon];
+}
+
+// Enemy bolts, pooled like the player's projectiles
+const enemyShotGeometry = shared(new THREE.SphereGeometry(0.3, 8, 8));
+const enemyShotMaterial = shared(new THREE.MeshBasicMaterial({ color: 0x66ff33 }));
+const enemyShotPool = new Pool(() => {
+  const mesh = new THREE.Mesh(enemyShotGeometry, enemyShotMaterial);
+  mesh.add(createPointLight(0x66ff33, 1, 3));
+  return mesh;
+});
+
+// Every explosion and debris particle, drawn as one instanced mesh so a
+// screen full of them is still a single draw call. Instances can't have their
+// own opacity, so particles shrink away over their lifetime instead of fading
+class ParticleSystem3D {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.particles = [];
+    this.mesh = new THREE.InstancedMesh(
+      new THREE.SphereGeometry(1, 8, 8),
+      new THREE.MeshBasicMaterial(),
+      capacity
+    );
+    this.mesh.setColorAt(0, new THREE.Color()); // So the material is built with instance colors
+    this.mesh.count = 0;
+    this.mesh.frustumCulled = false; // The bounds are of one particle, not all of them
+    this.matrix = new THREE.Matrix4();
+    scene.add(this.mesh);
+  }
+
+  // damping is how much of its speed a particle keeps each 60th of a second.
+  // Past capacity new particles are dropped, there's enough going on already
+  emit(position, velocity, radius, color, lifetime, damping = 1) {
+    if (this.particles.length >= this.capacity) return;
+    this.particles.push({
+      position: new THREE.Vector3().copy(position), // Simulation positions are plain {x, y, z}
+      velocity,
+      radius,
+      color: new THREE.Color(color),
+      lifetime,
+      damping,
+      age: 0
+    });
+  }
+
+  update(dt) {
+    // Drop finished particles by swapping the last one into their place
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      const particle = this.particles[i];
+      particle.age += dt;
+      if (particle.age >= particle.lifetime) {
+        this.particles[i] = this.particles[this.particles.length - 1];
+        this.particles.pop();
+        continue;
+      }
+      particle.position.addScaledVector(particle.velocity, dt);
+      particle.velocity.multiplyScalar(Math.pow(particle.damping, dt * 60));
+    }
+
+    this.particles.forEach((particle, i) => {
+      const size = particle.radius * (1 - particle.age / particle.lifetime);
+      this.matrix.makeScale(size, size, size).setPosition(particle.position);
+      this.mesh.setMatrixAt(i, this.matrix);
+      this.mesh.setColorAt(i, particle.color);
+    });
+    this.mesh.count = this.particles.length;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.instanceColor.needsUpdate = true;
+  }
+
+  clear() {
+    this.particles.length = 0;
+    this.mesh.count = 0;
+  }
+}
+
+const particles = new ParticleSystem3D(1024);
+
+// How many particles an effect that would throw count of them gets at the
+// current graphics quality
+function scaledParticles(count) {
+  return Math.max(1, Math.round(count * graphics.particleScale));
+}
+
+// Explosion flashes and their lights
+const flashGeometry = shared(new THREE.SphereGeometry(1, 16, 16));
+const flashPool = new Pool(() => new THREE.Mesh(
+  flashGeometry,
+  new THREE.MeshBasicMaterial({ color: 0xff8800, transparent: true })
+));
+const explosionLightPool = new Pool(() => createPointLight(0xff5500, 5, 10));
 
 // Debug mode
 const debug = false;
@@ -75,39 +376,54 @@ const cameraViews = {
 
 let currentView = 'default';
 let isTransitioningCamera = false;
+let cameraTransition = null;
+const cameraTransitionDuration = 0.8; // seconds
 
 // Add this function to handle camera transitions
 function transitionCamera(newView) {
-  if (isTransitioningCamera || currentView === newView) return;
+  if (gameState !== 'playing' || isTransitioningCamera || currentView === newView) return;
   
   isTransitioningCamera = true;
-  const startPosition = camera.position.clone();
-  const targetPosition = cameraViews[newView].position.clone();
-  const startRotation = camera.rotation.clone();
-  const targetRotation = cameraViews[newView].rotation.clone();
+  cameraTransition = {
+    view: newView,
+    startPosition: camera.position.clone(),
+    targetPosition: cameraViews[newView].position.clone(),
+    startRotation: camera.rotation.clone(),
+    targetRotation: cameraViews[newView].rotation.clone(),
+    progress: 0
+  };
+}
+
+// Advance the active camera transition, called once per simulation step
+function updateCameraTransition(dt) {
+  if (!cameraTransition) return;
+
+  const { startPosition, targetPosition, startRotation, targetRotation } = cameraTransition;
+  cameraTransition.progress += dt / cameraTransitionDuration;
+  const t = THREE.MathUtils.smoothstep(cameraTransition.progress, 0, 1);
   
-  let progress = 0;
+  camera.position.lerpVectors(startPosition, targetPosition, t);
   
-  function animateTransition() {
-    progress += 0.02;
-    const t = THREE.MathUtils.smoothstep(progress, 0, 1);
-    
-    camera.position.lerpVectors(startPosition, targetPosition, t);
-    
-    // Interpolate rotation
-    camera.rotation.x = THREE.MathUtils.lerp(startRotation.x, targetRotation.x, t);
-    camera.rotation.y = THREE.MathUtils.lerp(startRotation.y, targetRotation.y, t);
-    camera.rotation.z = THREE.MathUtils.lerp(startRotation.z, targetRotation.z, t);
-    
-    if (progress < 1) {
-      requestAnimationFrame(animateTransition);
-    } else {
-      isTransitioningCamera = false;
-      currentView = newView;
-    }
-  }
+  // Interpolate rotation
+  camera.rotation.x = THREE.MathUtils.lerp(startRotation.x, targetRotation.x, t);
+  camera.rotation.y = THREE.MathUtils.lerp(startRotation.y, targetRotation.y, t);
+  camera.rotation.z = THREE.MathUtils.lerp(startRotation.z, targetRotation.z, t);
   
-  animateTransition();
+  if (cameraTransition.progress >= 1) {
+    isTransitioningCamera = false;
+    currentView = cameraTransition.view;
+    cameraTransition = null;
+  }
+}
+
+// The player's bounds come from the camera frustum, so the aspect ratio is
+// part of the game state. It goes through the input queue like any other
+// command so replays use the recorded aspect, not the current window's
+const boundsCamera = new THREE.PerspectiveCamera(camera.fov, camera.aspect, camera.near, camera.far);
+
+function setPlayfieldAspect(aspect) {
+  boundsCamera.aspect = aspect;
+  boundsCamera.updateProjectionMatrix();
 }
 
 // Handle window resize
@@ -115,28 +431,66 @@ window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
+  queueInput(['resize', camera.aspect]);
 });
 
-// Add this before creating the player instance
+// Camera pose after the last two simulation steps. The camera moves in the
+// fixed step (it decides the player's bounds) and is interpolated for drawing
+// like everything else
+const cameraPose = {
+  previousPosition: new THREE.Vector3(),
+  position: new THREE.Vector3(),
+  previousQuaternion: new THREE.Quaternion(),
+  quaternion: new THREE.Quaternion()
+};
+
+// Put the camera back where the last step left it before moving it again
+function beginCameraStep() {
+  camera.position.copy(cameraPose.position);
+  camera.quaternion.copy(cameraPose.quaternion);
+  cameraPose.previousPosition.copy(cameraPose.position);
+  cameraPose.previousQuaternion.copy(cameraPose.quaternion);
+}
+
+function endCameraStep() {
+  cameraPose.position.copy(camera.position);
+  cameraPose.quaternion.copy(camera.quaternion);
+}
+
+function resetCameraPose() {
+  endCameraStep();
+  cameraPose.previousPosition.copy(cameraPose.position);
+  cameraPose.previousQuaternion.copy(cameraPose.quaternion);
+}
+
+function interpolateCamera(alpha) {
+  camera.position.lerpVectors(cameraPose.previousPosition, cameraPose.position, alpha);
+  camera.quaternion.slerpQuaternions(cameraPose.previousQuaternion, cameraPose.quaternion, alpha);
+}
+
+// Renders the simulation's Player as a rocket
 class Player3D {
-  constructor() {
+  constructor(player) {
+    this.player = player;
+
     // Create rocket body geometry
     const bodyGeometry = new THREE.CylinderGeometry(0.5, 1, 4, 8);
-    const bodyMaterial = new THREE.MeshPhongMaterial({
+    this.bodyMaterial = new THREE.MeshPhongMaterial({
       color: 0xcccccc,
+      emissive: 0x000000,
       specular: 0x666666,
       shininess: 30
     });
     this.mesh = new THREE.Group(); // Use Group to hold all rocket parts
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    const body = new THREE.Mesh(bodyGeometry, this.bodyMaterial);
     this.mesh.add(body);
 
     // Add fins
     const finGeometry = new THREE.BoxGeometry(2, 0.2, 1);
-    const finMaterial = new THREE.MeshPhongMaterial({ color: 0xff4000 });
+    this.finMaterial = new THREE.MeshPhongMaterial({ color: 0xff4000 });
     
-    this.leftFin = new THREE.Mesh(finGeometry, finMaterial);
-    this.rightFin = new THREE.Mesh(finGeometry, finMaterial);
+    this.leftFin = new THREE.Mesh(finGeometry, this.finMaterial);
+    this.rightFin = new THREE.Mesh(finGeometry, this.finMaterial);
     
     this.leftFin.position.set(-1, -1, 0);
     this.rightFin.position.set(1, -1, 0);
@@ -145,9 +499,9 @@ class Player3D {
     this.mesh.add(this.rightFin);
 
     // Add engine glow
-    const engineLight = new THREE.PointLight(0xff6600, 1, 5);
-    engineLight.position.set(0, -2, 0);
-    this.mesh.add(engineLight);
+    this.engineLight = createPointLight(0xff6600, 1, 5);
+    this.engineLight.position.set(0, -2, 0);
+    this.mesh.add(this.engineLight);
 
     // Add cockpit (window)
     const cockpitGeometry = new THREE.SphereGeometry(0.5, 16, 16);
@@ -164,30 +518,39 @@ class Player3D {
     this.cockpit = cockpit;
 
     // Initial position and rotation
-    this.mesh.position.set(0, 0, 10);
+    this.mesh.position.copy(player.position);
     this.mesh.rotation.x = 0;
 
     // Add to scene
     scene.add(this.mesh);
 
-    // Movement properties
-    this.velocity = new THREE.Vector3(0, 0, 0);
-    this.speed = 0.2;
-    this.shield = false;
-    this.rapidFire = false;
+    // Shield bubble lives in the scene rather than in this.mesh so it
+    // doesn't inflate the ship's bounds
+    const shieldGeometry = new THREE.SphereGeometry(2.6, 24, 16);
+    this.shieldMaterial = new THREE.MeshPhongMaterial({
+      color: powerUpTypes.shield.color,
+      emissive: powerUpTypes.shield.color,
+      emissiveIntensity: 0.4,
+      transparent: true,
+      opacity: 0.25,
+      depthWrite: false
+    });
+    this.shieldMesh = new THREE.Mesh(shieldGeometry, this.shieldMaterial);
+    this.shieldMesh.visible = false;
+    scene.add(this.shieldMesh);
+
+    this.hitFlash = 0;
 
     // Remove fixed bounds and add frustum for view checking
     this.frustum = new THREE.Frustum();
     this.cameraViewProjectionMatrix = new THREE.Matrix4();
   }
 
-  update() {
-    // Update position based on velocity
-    this.mesh.position.add(this.velocity);
-    
+  // Bounds check handed to the simulation: the ship has to stay on screen
+  isInView(position) {
     // Update frustum for boundary checking
     this.cameraViewProjectionMatrix.multiplyMatrices(
-      camera.projectionMatrix,
+      boundsCamera.projectionMatrix,
       camera.matrixWorldInverse
     );
     this.frustum.setFromProjectionMatrix(this.cameraViewProjectionMatrix);
@@ -196,48 +559,41 @@ class Player3D {
     const margin = 1; // Adjust this value to control how close to the edge the ship can get
     const testPoints = [
       new THREE.Vector3(
-        this.mesh.position.x + this.mesh.scale.x * margin,
-        this.mesh.position.y,
-        this.mesh.position.z
+        position.x + this.mesh.scale.x * margin,
+        position.y,
+        position.z
       ),
       new THREE.Vector3(
-        this.mesh.position.x - this.mesh.scale.x * margin,
-        this.mesh.position.y,
-        this.mesh.position.z
+        position.x - this.mesh.scale.x * margin,
+        position.y,
+        position.z
       ),
       new THREE.Vector3(
-        this.mesh.position.x,
-        this.mesh.position.y + this.mesh.scale.y * margin,
-        this.mesh.position.z
+        position.x,
+        position.y + this.mesh.scale.y * margin,
+        position.z
       ),
       new THREE.Vector3(
-        this.mesh.position.x,
-        this.mesh.position.y - this.mesh.scale.y * margin,
-        this.mesh.position.z
+        position.x,
+        position.y - this.mesh.scale.y * margin,
+        position.z
       )
     ];
 
     // Check if any test point is outside the frustum
-    let isOutOfBounds = false;
-    for (const point of testPoints) {
-      if (!this.frustum.containsPoint(point)) {
-        isOutOfBounds = true;
-        break;
-      }
-    }
+    return testPoints.every(point => this.frustum.containsPoint(point));
+  }
 
-    // If out of bounds, revert the position update
-    if (isOutOfBounds) {
-      this.mesh.position.sub(this.velocity);
-    }
+  update(dt) {
+    const { velocity, speed } = this.player;
 
     // Add slight tilt in movement direction while maintaining forward orientation
-    const tiltAmount = 0.2;
-    const targetRotationZ = -this.velocity.x * tiltAmount;
-    const targetRotationX = -Math.PI / 2 + this.velocity.y * tiltAmount;
+    const maxTilt = 0.04;
+    const targetRotationZ = -(velocity.x / speed) * maxTilt;
+    const targetRotationX = -Math.PI / 2 + (velocity.y / speed) * maxTilt;
     
-    this.mesh.rotation.z += (targetRotationZ - this.mesh.rotation.z) * 0.1;
-    this.mesh.rotation.x += (targetRotationX - this.mesh.rotation.x) * 0.1;
+    this.mesh.rotation.z += (targetRotationZ - this.mesh.rotation.z) * damp(0.1, dt);
+    this.mesh.rotation.x += (targetRotationX - this.mesh.rotation.x) * damp(0.1, dt);
 
     // Update cockpit transparency in first-person view
     if (currentView === 'firstPerson') {
@@ -245,750 +601,1235 @@ class Player3D {
     } else {
       this.cockpitMaterial.opacity = 1;
     }
-  }
 
-  shoot() {
-    if (this.rapidFire) {
-      const projectile = new Projectile3D(
-        this.mesh.position.x,
-        this.mesh.position.y,
-        this.mesh.position.z - 1
-      );
-      projectiles.push(projectile);
-      setTimeout(() => this.shoot(), 100);
-    } else {
-      const projectile = new Projectile3D(
-        this.mesh.position.x,
-        this.mesh.position.y,
-        this.mesh.position.z - 1
-      );
-      projectiles.push(projectile);
+    // Glow red for a moment when the hull takes a hit
+    if (this.hitFlash > 0) {
+      this.hitFlash = Math.max(this.hitFlash - dt, 0);
+      this.bodyMaterial.emissive.setHex(0xff2200).multiplyScalar(this.hitFlash / hitFlashDuration);
     }
-  }
-}
 
-// Also need to define Projectile3D class
-class Projectile3D {
-  constructor(x, y, z) {
-    const geometry = new THREE.SphereGeometry(0.2, 8, 8);
-    const material = new THREE.MeshBasicMaterial({ 
-      color: 0xff0000,
-      emissive: 0xff0000
-    });
-    
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.position.set(x, y, z);
-    
-    // Add point light to make it glow
-    const light = new THREE.PointLight(0xff0000, 1, 2);
-    this.mesh.add(light);
-    
-    scene.add(this.mesh);
-    
-    this.speed = 0.5;
+    this.updatePowerUps();
+    this.updateVisibility();
   }
 
-  update() {
-    this.mesh.position.z -= this.speed;
+  hit() {
+    this.hitFlash = hitFlashDuration;
   }
 
-  destroy() {
-    while(this.mesh.children.length > 0) { 
-      this.mesh.remove(this.mesh.children[0]);
-    }
-    scene.remove(this.mesh);
+  // Gone while waiting to respawn, blinking while invulnerable
+  updateVisibility() {
+    const { wrecked, invulnerableTime } = this.player;
+    const blink = invulnerableTime > 0 && Math.floor(invulnerableTime / 0.1) % 2 === 0;
+    this.mesh.visible = !wrecked && !blink;
+    if (wrecked) this.shieldMesh.visible = false;
   }
-}
 
-// Create player instance
-const player = new Player3D();
+  // Place the mesh between the last two simulation states
+  interpolate(alpha) {
+    this.mesh.position.lerpVectors(this.player.previousPosition, this.player.position, alpha);
+    this.shieldMesh.position.copy(this.mesh.position);
+  }
 
-// Setup controls
-function setupControls() {
-  document.addEventListener('keydown', (e) => {
-    switch(e.key) {
-      case 'ArrowLeft':
-      case 'a':
-        player.velocity.x = -player.speed;
-        break;
-      case 'ArrowRight':
-      case 'd':
-        player.velocity.x = player.speed;
-        break;
-      case 'ArrowUp':
-      case 'w':
-        player.velocity.y = player.speed;
-        break;
-      case 'ArrowDown':
-      case 's':
-        player.velocity.y = -player.speed;
-        break;
-      case ' ':
-        player.shoot();
-        break;
-      case '1':
-        transitionCamera('default');
-        break;
-      case '2':
-        transitionCamera('side');
-        break;
-      case '3':
-        transitionCamera('top');
-        break;
-      case '4':
-        transitionCamera('chase');
-        break;
-      case '5':
-        transitionCamera('cinematic');
-        break;
-      case '6': // Add key for first-person view
-        transitionCamera('firstPerson');
-        break;
-    }
-  });
+  updatePowerUps() {
+    const { shield, rapidFire } = this.player;
 
-  document.addEventListener('keyup', (e) => {
-    switch(e.key) {
-      case 'ArrowLeft':
-      case 'a':
-      case 'ArrowRight':
-      case 'd':
-        player.velocity.x = 0;
-        break;
-      case 'ArrowUp':
-      case 'w':
-      case 'ArrowDown':
-      case 's':
-        player.velocity.y = 0;
-        break;
+    // Shield bubble blinks when about to run out
+    this.shieldMesh.visible = shield;
+    if (shield) {
+      const blink = this.player.powerUpRemaining('shield') < 2 &&
+        Math.floor(game.time / 0.15) % 2 === 0;
+      this.shieldMaterial.opacity = blink ? 0.08 : 0.25;
     }
-  });
-}
 
-// Star class for 3D
-class Star3D {
-  constructor() {
-    const geometry = new THREE.SphereGeometry(0.05, 4, 4);
-    const material = new THREE.MeshBasicMaterial({ color: 0xffffff });
-    this.mesh = new THREE.Mesh(geometry, material);
-    
-    this.mesh.position.set(
-      (Math.random() - 0.5) * 100,
-      (Math.random() - 0.5) * 100,
-      (Math.random() - 0.5) * 50
-    );
-    
-    scene.add(this.mesh);
+    // Glowing fins and a hotter engine while rapid fire is active
+    this.finMaterial.emissive.setHex(rapidFire ? powerUpTypes.rapidFire.color : 0x000000);
+    this.engineLight.color.setHex(rapidFire ? powerUpTypes.rapidFire.color : 0xff6600);
+    this.engineLight.intensity = rapidFire ? 2 : 1;
   }
 
-  update() {
-    this.mesh.position.y -= 0.1;
-    if (this.mesh.position.y < -50) {
-      this.mesh.position.y = 50;
-      this.mesh.position.x = (Math.random() - 0.5) * 100;
-      this.mesh.position.z = (Math.random() - 0.5) * 50;
-    }
-  }
-}
+  // Follow a new simulation player after a restart
+  reset(player) {
+    this.player = player;
+    this.hitFlash = 0;
+    this.bodyMaterial.emissive.setHex(0x000000);
+    this.updatePowerUps();
+    this.updateVisibility();
 
-function createStars() {
-  stars = [];
-  for (let i = 0; i < 200; i++) {
-    stars.push(new Star3D());
+    this.mesh.position.copy(player.position);
+    this.mesh.rotation.set(0, 0, 0);
   }
 }
 
-// Add this before the spawnObstacle function
-class Obstacle3D {
-  constructor(x, y, z, size, speed, rotationSpeed) {
-    // Create more detailed base geometry
-    const geometry = new THREE.IcosahedronGeometry(size, 2); // Increased detail level
-    
-    // Create more varied surface
-    const positions = geometry.attributes.position.array;
-    const noise = new SimplexNoise(); // Now using global SimplexNoise from CDN
-    
-    for (let i = 0; i < positions.length; i += 3) {
-      const vertex = new THREE.Vector3(
-        positions[i],
-        positions[i + 1],
-        positions[i + 2]
-      );
-      
-      // Add noise-based displacement
-      const noiseValue = noise.noise3D(
-        vertex.x * 0.5,
-        vertex.y * 0.5,
-        vertex.z * 0.5
-      );
-      
-      vertex.multiplyScalar(1 + noiseValue * 0.3);
-      
-      positions[i] = vertex.x;
-      positions[i + 1] = vertex.y;
-      positions[i + 2] = vertex.z;
-    }
-    
-    geometry.computeVertexNormals();
-
-    // Create more realistic material
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x808080,
-      roughness: 0.9,
-      metalness: 0.1,
-      flatShading: true,
-      vertexColors: true // Enable vertex colors
-    });
-
-    // Add vertex colors for visual variety
-    const colors = [];
-    const color = new THREE.Color();
-    
-    for (let i = 0; i < positions.length; i += 3) {
-      // Vary the color slightly for each vertex
-      const shade = 0.5 + Math.random() * 0.3;
-      color.setRGB(shade, shade, shade);
-      colors.push(color.r, color.g, color.b);
-    }
-    
-    geometry.setAttribute(
-      'color',
-      new THREE.Float32BufferAttribute(colors, 3)
-    );
-
-    // Create main mesh
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.position.set(x, y, z);
-    
-    // Add ambient occlusion to crevices
-    const aoMap = this.generateAOTexture(geometry);
-    material.aoMap = aoMap;
-    material.aoMapIntensity = 1.0;
-
-    // Add detail features
-    this.addSurfaceDetails(size);
-    
+// Renders a simulation Projectile
+class Projectile3D {
+  constructor(projectile) {
+    this.projectile = projectile;
+    this.pool = projectilePool(projectile.weapon);
+    this.mesh = this.pool.acquire();
+    this.mesh.position.copy(projectile.position);
+    this.mesh.rotation.set(0, 0, 0);
     scene.add(this.mesh);
+  }
 
-    // Create hitbox (unchanged)
-    const hitboxGeometry = new THREE.SphereGeometry(size * 0.8);
-    const hitboxMaterial = new THREE.MeshBasicMaterial({
-      visible: debug,
-      wireframe: true,
-      color: 0xff0000
-    });
-    this.hitbox = new THREE.Mesh(hitboxGeometry, hitboxMaterial);
-    this.hitbox.position.copy(this.mesh.position);
-    scene.add(this.hitbox);
-
-    // Store properties
-    this.size = size;
-    this.speed = speed;
-    this.rotationSpeed = rotationSpeed;
-    this.rotationAxis = new THREE.Vector3(
-      Math.random() - 0.5,
-      Math.random() - 0.5,
-      Math.random() - 0.5
-    ).normalize();
+  interpolate(alpha) {
+    this.mesh.position.lerpVectors(this.projectile.previousPosition, this.projectile.position, alpha);
 
-    // Store original size for scaling calculations
-    this.originalSize = size;
-    this.baseScale = new THREE.Vector3(1, 1, 1);
-  }
-
-  addSurfaceDetails(size) {
-    this.addCraters(size);
-    this.addRocks(size);
-    this.addCracks(size);
-    this.addRidges(size);
-    this.addDust(size);
-  }
-
-  addCraters(size) {
-    const numCraters = Math.floor(Math.random() * 8) + 5;
-    for (let i = 0; i < numCraters; i++) {
-      const craterSize = size * (Math.random() * 0.4 + 0.1);
-      
-      // Create crater using a modified sphere geometry
-      const craterGeometry = new THREE.SphereGeometry(
-        craterSize,
-        16,
-        16,
-        0,
-        Math.PI * 2,
-        0,
-        Math.PI / 2
+    // Missiles turn to face where they're going
+    if (this.projectile.turnRate) {
+      const velocity = this.projectile.velocity;
+      this.mesh.lookAt(
+        this.mesh.position.x - velocity.x,
+        this.mesh.position.y - velocity.y,
+        this.mesh.position.z - velocity.z
       );
-      const craterMaterial = new THREE.MeshStandardMaterial({
-        color: 0x404040,
-        roughness: 0.9,
-        metalness: 0.1,
-        flatShading: true,
-        side: THREE.DoubleSide
-      });
-      
-      const crater = new THREE.Mesh(craterGeometry, craterMaterial);
-      
-      // Position crater
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(Math.random() * 2 - 1);
-      crater.position.setFromSpherical(new THREE.Spherical(size * 1.01, phi, theta));
-      crater.lookAt(this.mesh.position);
-      
-      // Add debris inside crater
-      for (let j = 0; j < 5; j++) {
-        const debris = this.createDebris(craterSize * 0.1);
-        debris.position.copy(crater.position);
-        debris.position.x += (Math.random() - 0.5) * craterSize * 0.8;
-        debris.position.y += (Math.random() - 0.5) * craterSize * 0.8;
-        debris.position.z += Math.random() * craterSize * 0.1;
-        debris.lookAt(this.mesh.position);
-        this.mesh.add(debris);
-      }
-      
-      this.mesh.add(crater);
     }
   }
 
-  addRocks(size) {
-    const numRocks = Math.floor(Math.random() * 15) + 10; // More rocks
-    for (let i = 0; i < numRocks; i++) {
-      const rockSize = size * (Math.random() * 0.15 + 0.05);
-      const rock = this.createRock(rockSize);
-      
-      // Better distribution of rocks
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(Math.random() * 2 - 1);
-      rock.position.setFromSpherical(new THREE.Spherical(size * 1.02, phi, theta));
-      
-      rock.rotation.set(
-        Math.random() * Math.PI,
-        Math.random() * Math.PI,
-        Math.random() * Math.PI
-      );
-      
-      this.mesh.add(rock);
-    }
+  destroy() {
+    scene.remove(this.mesh);
   }
 
-  createRock(size) {
-    // Create more detailed rocks
-    const geometry = new THREE.DodecahedronGeometry(size, 1);
-    
-    // Distort vertices for more natural look
-    const positions = geometry.attributes.position.array;
-    for (let i = 0; i < positions.length; i += 3) {
-      positions[i] *= 0.8 + Math.random() * 0.4;
-      positions[i + 1] *= 0.8 + Math.random() * 0.4;
-      positions[i + 2] *= 0.8 + Math.random() * 0.4;
-    }
-    
-    geometry.computeVertexNormals();
-    
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x606060,
-      roughness: 0.9,
-      metalness: 0.1,
-      flatShading: true
-    });
-    
-    return new THREE.Mesh(geometry, material);
+  // Back to the pool for the next shot
+  dispose() {
+    this.pool.release(this.mesh);
   }
+}
 
-  createDebris(size) {
-    const geometry = new THREE.TetrahedronGeometry(size);
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x505050,
-      roughness: 1,
-      metalness: 0,
-      flatShading: true
-    });
-    return new THREE.Mesh(geometry, material);
-  }
-
-  addCracks(size) {
-    const numCracks = Math.floor(Math.random() * 5) + 3;
-    for (let i = 0; i < numCracks; i++) {
-      const points = [];
-      const length = size * (Math.random() * 0.5 + 0.5);
-      const segments = 10;
-      
-      // Create jagged line for crack
-      for (let j = 0; j < segments; j++) {
-        const t = j / (segments - 1);
-        points.push(new THREE.Vector3(
-          (Math.random() - 0.5) * 0.2 * length,
-          t * length,
-          (Math.random() - 0.5) * 0.2 * length
-        ));
-      }
-      
-      const crackGeometry = new THREE.BufferGeometry().setFromPoints(points);
-      const crackMaterial = new THREE.LineBasicMaterial({ 
-        color: 0x202020,
-        linewidth: 2
-      });
-      
-      const crack = new THREE.Line(crackGeometry, crackMaterial);
-      
-      // Position crack
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(Math.random() * 2 - 1);
-      crack.position.setFromSpherical(new THREE.Spherical(size * 1.01, phi, theta));
-      crack.lookAt(this.mesh.position);
-      
-      this.mesh.add(crack);
-    }
-  }
+// Draws game.laser: a glowing beam from the ship to whatever it hits
+class Laser3D {
+  constructor() {
+    const color = weaponTypes.laser.color;
+
+    // Unit length beam along z, stretched to the laser's length each frame
+    const beamGeometry = new THREE.CylinderGeometry(0.06, 0.06, 1, 8, 1, true);
+    beamGeometry.rotateX(Math.PI / 2);
+    beamGeometry.translate(0, 0, -0.5);
+    this.mesh = new THREE.Mesh(beamGeometry, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+
+    const glowGeometry = new THREE.CylinderGeometry(0.2, 0.2, 1, 8, 1, true);
+    glowGeometry.rotateX(Math.PI / 2);
+    glowGeometry.translate(0, 0, -0.5);
+    this.mesh.add(new THREE.Mesh(glowGeometry, new THREE.MeshBasicMaterial({
+      color: color,
+      transparent: true,
+      opacity: 0.4,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    })));
 
-  addRidges(size) {
-    const numMountains = Math.floor(Math.random() * 3) + 2;
-    for (let i = 0; i < numMountains; i++) {
-      // Create mountain using cone geometry
-      const height = size * (Math.random() * 0.4 + 0.2);
-      const radius = size * (Math.random() * 0.3 + 0.1);
-      const mountainGeometry = new THREE.ConeGeometry(
-        radius,
-        height,
-        8,
-        1,
-        true
-      );
-      
-      // Distort vertices for more natural look
-      const positions = mountainGeometry.attributes.position.array;
-      for (let j = 0; j < positions.length; j += 3) {
-        const distortion = (Math.random() - 0.5) * 0.2;
-        positions[j] *= 1 + distortion;
-        positions[j + 1] *= 1 + Math.abs(distortion);
-        positions[j + 2] *= 1 + distortion;
-      }
-      mountainGeometry.computeVertexNormals();
-      
-      const mountainMaterial = new THREE.MeshStandardMaterial({
-        color: 0x606060,
-        roughness: 0.9,
-        metalness: 0.1,
-        flatShading: true
-      });
-      
-      const mountain = new THREE.Mesh(mountainGeometry, mountainMaterial);
-      
-      // Position mountain
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(Math.random() * 2 - 1);
-      mountain.position.setFromSpherical(new THREE.Spherical(size * 1.01, phi, theta));
-      mountain.lookAt(this.mesh.position);
-      
-      // Random rotation around normal
-      mountain.rotateOnAxis(
-        new THREE.Vector3().subVectors(mountain.position, this.mesh.position).normalize(),
-        Math.random() * Math.PI * 2
-      );
-      
-      // Add some rocks around the base
-      const numRocks = Math.floor(Math.random() * 5) + 3;
-      for (let j = 0; j < numRocks; j++) {
-        const rock = this.createRock(radius * 0.2);
-        rock.position.copy(mountain.position);
-        rock.position.x += (Math.random() - 0.5) * radius;
-        rock.position.y += (Math.random() - 0.5) * radius;
-        rock.position.z += Math.random() * radius * 0.1;
-        rock.lookAt(this.mesh.position);
-        this.mesh.add(rock);
-      }
-      
-      this.mesh.add(mountain);
-    }
-  }
+    // Lights up whatever the beam ends on
+    this.impactLight = createPointLight(color, 2, 5);
+    scene.add(this.impactLight);
 
-  addDust(size) {
-    // Add dust particle system
-    const particleCount = 50;
-    const particles = new THREE.BufferGeometry();
-    const positions = new Float32Array(particleCount * 3);
-    
-    for (let i = 0; i < particleCount * 3; i += 3) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(Math.random() * 2 - 1);
-      const radius = size * (1 + Math.random() * 0.1);
-      
-      positions[i] = radius * Math.sin(phi) * Math.cos(theta);
-      positions[i + 1] = radius * Math.sin(phi) * Math.sin(theta);
-      positions[i + 2] = radius * Math.cos(phi);
-    }
-    
-    particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    
-    const dustMaterial = new THREE.PointsMaterial({
-      color: 0x808080,
-      size: size * 0.05,
-      transparent: true,
-      opacity: 0.5,
-      blending: THREE.AdditiveBlending
-    });
-    
-    const dustCloud = new THREE.Points(particles, dustMaterial);
-    this.mesh.add(dustCloud);
+    this.mesh.visible = false;
+    this.impactLight.visible = false;
+    scene.add(this.mesh);
   }
 
-  generateAOTexture(geometry) {
-    // Create a simple ambient occlusion texture
-    const textureSize = 512;
-    const canvas = document.createElement('canvas');
-    canvas.width = textureSize;
-    canvas.height = textureSize;
-    const ctx = canvas.getContext('2d');
-    
-    // Generate AO based on geometry normals
-    // This is a simplified version - could be more sophisticated
-    const positions = geometry.attributes.position.array;
-    const normals = geometry.attributes.normal.array;
-    
-    for (let i = 0; i < positions.length; i += 3) {
-      const normal = new THREE.Vector3(
-        normals[i],
-        normals[i + 1],
-        normals[i + 2]
-      );
-      
-      // Darker in crevices (where normal faces inward more)
-      const ao = Math.pow(0.5 + normal.y * 0.5, 0.5);
-      
-      ctx.fillStyle = `rgb(${ao * 255},${ao * 255},${ao * 255})`;
-      ctx.fillRect(
-        (i / 3) % textureSize,
-        Math.floor((i / 3) / textureSize),
-        1,
-        1
-      );
-    }
-    
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
-    return texture;
+  // Follows the ship's drawn position so the beam doesn't lag behind it
+  interpolate() {
+    const laser = game.laser;
+    this.mesh.visible = laser !== null;
+    this.impactLight.visible = laser !== null;
+    if (!laser) return;
+
+    this.mesh.position.copy(playerView.mesh.position);
+    this.mesh.position.z -= 1;
+    this.mesh.scale.set(1, 1, laser.length);
+    this.impactLight.position.copy(this.mesh.position);
+    this.impactLight.position.z -= laser.length;
   }
+}
 
-  update() {
-    if (currentView === 'firstPerson') {
-      // Move towards player in first-person view
-      this.mesh.position.z += this.direction.z * this.speed;
-    } else {
-      // Original movement for other views
-      this.mesh.position.z += this.direction.z * this.speed;
-    }
-    
-    // Calculate distance-based scaling
-    const distanceToCamera = this.mesh.position.distanceTo(camera.position);
-    const maxDistance = 50; // Distance where asteroid is smallest
-    const minDistance = 5;  // Distance where asteroid is largest
-    
-    // Calculate scale factor based on distance
-    const scale = THREE.MathUtils.lerp(
-      1.5,  // Max scale when closest
-      0.5,  // Min scale when farthest
-      THREE.MathUtils.smoothstep(distanceToCamera, minDistance, maxDistance)
-    );
+// Renders a simulation PowerUp
+class PowerUp3D {
+  constructor(powerUp) {
+    this.powerUp = powerUp;
+
+    const color = powerUpTypes[powerUp.type].color;
+    this.mesh = new THREE.Group();
+
+    // Glowing core
+    const coreGeometry = new THREE.OctahedronGeometry(0.6);
+    const coreMaterial = new THREE.MeshPhongMaterial({
+      color: color,
+      emissive: color,
+      emissiveIntensity: 0.6,
+      shininess: 80
+    });
+    this.mesh.add(new THREE.Mesh(coreGeometry, coreMaterial));
 
-    // Apply scale to both mesh and hitbox
-    this.mesh.scale.copy(this.baseScale).multiplyScalar(scale);
-    this.hitbox.scale.copy(this.baseScale).multiplyScalar(scale * 0.8); // Keep hitbox slightly smaller
-    
-    // Update hitbox position
-    this.hitbox.position.copy(this.mesh.position);
+    // Spinning ring around the core
+    const ringGeometry = new THREE.TorusGeometry(0.9, 0.08, 8, 24);
+    const ringMaterial = new THREE.MeshBasicMaterial({ color: color });
+    this.ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    this.mesh.add(this.ring);
 
-    // Rotate around random axis
-    this.mesh.rotateOnAxis(this.rotationAxis, this.rotationSpeed);
+    const light = createPointLight(color, 1, 4);
+    this.mesh.add(light);
+
+    this.mesh.position.copy(powerUp.position);
+    scene.add(this.mesh);
   }
 
-  destroy() {
-    // Create explosion effect
-    const particleCount = 20;
-    const particles = [];
-    
-    for (let i = 0; i < particleCount; i++) {
-      const geometry = new THREE.SphereGeometry(this.size * 0.1);
-      const material = new THREE.MeshBasicMaterial({
-        color: 0x808080,
-        transparent: true
-      });
-      
-      const particle = new THREE.Mesh(geometry, material);
-      particle.position.copy(this.mesh.position);
-      
-      const velocity = new THREE.Vector3(
-        Math.random() - 0.5,
-        Math.random() - 0.5,
-        Math.random() - 0.5
-      ).multiplyScalar(0.2);
-      
-      particles.push({ mesh: particle, velocity });
-      scene.add(particle);
-    }
+  update(dt) {
+    this.mesh.rotation.y += 1.8 * dt;
+    this.ring.rotation.x += 3 * dt;
+  }
 
-    // Animate particles
-    const animateParticles = () => {
-      particles.forEach(p => {
-        p.mesh.position.add(p.velocity);
-        p.mesh.material.opacity -= 0.02;
-        if (p.mesh.material.opacity <= 0) {
-          scene.remove(p.mesh);
-        }
-      });
-      
-      if (particles.some(p => p.mesh.material.opacity > 0)) {
-        requestAnimationFrame(animateParticles);
-      }
-    };
-    
-    animateParticles();
+  interpolate(alpha) {
+    this.mesh.position.lerpVectors(this.powerUp.previousPosition, this.powerUp.position, alpha);
+  }
 
-    // Remove asteroid meshes
+  destroy() {
     scene.remove(this.mesh);
-    scene.remove(this.hitbox);
   }
-}
 
-// Add collision detection function if not already defined
-function checkCollision(object1, object2) {
-  const box1 = new THREE.Box3().setFromObject(object1);
-  const box2 = new THREE.Box3().setFromObject(object2);
-  return box1.intersectsBox(box2);
+  dispose() {
+    disposeObject(this.mesh);
+  }
 }
 
-// Spawn obstacle function
-function spawnObstacle(cappedScore) {
-  const horizonDistance = 50;
-  const spawnWidth = 40;
-  const spawnHeight = 20;
-  
-  const x = (Math.random() - 0.5) * spawnWidth;
-  const y = (Math.random() - 0.5) * spawnHeight;
-  const z = -horizonDistance;
-  
-  const size = Math.random() * (2 - 1) + 1;
-  
-  // Direction is always toward player
-  const direction = new THREE.Vector3(0, 0, 1).normalize();
-  const speed = (0.1 + cappedScore * 0.01) * 2;
-  const rotationSpeed = (Math.random() * 0.02 - 0.01) * (1 + cappedScore / 50);
-
-  const obstacle = new Obstacle3D(x, y, z, size, speed, rotationSpeed);
-  obstacle.direction = direction;
-  obstacles.push(obstacle);
+// Runs start from ?seed=... when given so a shared asteroid field can be
+// replayed exactly
+function getUrlSeed() {
+  const value = new URLSearchParams(location.search).get('seed');
+  return value ? parseSeed(value) : undefined;
 }
 
-// Spawn obstacles function
-function spawnObstacles() {
-  if (gameOver) return;
+// Link that starts a run from the given seed
+function getSeedUrl(seed) {
+  const url = new URL(location.href);
+  url.searchParams.set('seed', seed);
+  return url.href;
+}
 
-  const cappedScore = Math.min(score, maxDifficultyScore);
-  const numObstacles = Math.min(1 + Math.floor(cappedScore / 10), maxObstacles);
+// Create the simulation and the player's rocket. The simulation keeps the ship
+// inside the camera frustum and scales asteroids relative to the camera
+const game = new GameSimulation({
+  seed: getUrlSeed() ?? randomSeed(),
+  viewPoint: camera.position,
+  isWithinBounds: (position) => playerView.isInView(position)
+});
+const playerView = new Player3D(game.player);
+const laserView = new Laser3D();
 
-  for (let i = 0; i < numObstacles; i++) {
-    spawnObstacle(cappedScore);
-  }
+// Level new runs start on, picked on the title screen. Until the level files
+// have loaded there's only endless
+let selectedLevel = endlessLevel.id;
 
-  const spawnDelay = Math.max(300, 1000 - cappedScore * 20);
-  setTimeout(spawnObstacles, spawnDelay);
+// Index into game.levels, endless for anything unknown
+function levelIndex(id) {
+  const index = game.levels.findIndex(level => level.id === id);
+  return index >= 0 ? index : game.levels.indexOf(endlessLevel);
 }
 
-// Add this function before gameLoop
-function createExplosion(position) {
-  // Create particle system for explosion
-  const particleCount = 30;
-  const particles = [];
-  
-  // Create explosion flash
-  const flashGeometry = new THREE.SphereGeometry(1, 16, 16);
-  const flashMaterial = new THREE.MeshBasicMaterial({
-    color: 0xff8800,
-    transparent: true,
-    opacity: 1
+// Keyboard bindings, see keybindings.js
+let keyBindings = loadBindings();
+
+// Physical movement and fire keys currently held down, so letting go of one
+// of two opposite movement keys carries on in the other direction
+const heldKeys = new Set();
+
+const weaponActions = {
+  weaponBlaster: 'blaster',
+  weaponSpread: 'spread',
+  weaponLaser: 'laser',
+  weaponMissile: 'missile'
+};
+
+const viewActions = {
+  viewDefault: 'default',
+  viewSide: 'side',
+  viewTop: 'top',
+  viewChase: 'chase',
+  viewCinematic: 'cinematic',
+  viewFirstPerson: 'firstPerson'
+};
+
+function isActionHeld(action) {
+  return keyBindings[action].some(code => heldKeys.has(code));
+}
+
+function queueKeyboardMovement() {
+  queueInput(['moveX', (isActionHeld('moveRight') ? 1 : 0) - (isActionHeld('moveLeft') ? 1 : 0)]);
+  queueInput(['moveY', (isActionHeld('moveUp') ? 1 : 0) - (isActionHeld('moveDown') ? 1 : 0)]);
+}
+
+function queueKeyboardFire() {
+  queueInput(['fire', isActionHeld('fire') ? 1 : 0]);
+}
+
+// Setup controls. Keys become input commands that are queued and applied at
+// the start of the next simulation step, so a recording can note the exact
+// tick each one took effect
+function setupControls() {
+  document.addEventListener('keydown', (e) => {
+    // Leave typing in text fields (e.g. high score names) alone
+    if (e.target instanceof HTMLInputElement) return;
+
+    // The controls screen gets every key while it's open
+    if (document.getElementById('controlsMenu')) {
+      handleControlsMenuKey(e);
+      return;
+    }
+
+    if (e.key === 'Enter' && gameState === 'title') {
+      startGame();
+      return;
+    }
+
+    const action = actionForCode(keyBindings, e.code);
+    if (!action) return;
+
+    // A held key is already held. Repeats would flip pause, cycle weapons and
+    // record the same movement over and over
+    if (e.repeat) return;
+
+    if (action.startsWith('move')) {
+      heldKeys.add(e.code);
+      queueKeyboardMovement();
+    } else if (action === 'fire') {
+      heldKeys.add(e.code);
+      queueKeyboardFire();
+    } else if (action === 'pause') {
+      togglePause();
+    } else if (action === 'nextWeapon') {
+      cycleWeapon();
+    } else if (action === 'debugInfo') {
+      toggleRendererInfoUI();
+    } else if (action in weaponActions) {
+      queueInput(['weapon', weaponActions[action]]);
+    } else {
+      queueInput(['view', viewActions[action]]);
+    }
+  });
+
+  document.addEventListener('keyup', (e) => {
+    if (!heldKeys.delete(e.code)) return;
+    if (actionForCode(keyBindings, e.code) === 'fire') {
+      queueKeyboardFire();
+    } else {
+      queueKeyboardMovement();
+    }
+  });
+
+  // Key ups are lost while the window is in the background
+  window.addEventListener('blur', () => {
+    if (heldKeys.size === 0) return;
+    heldKeys.clear();
+    queueKeyboardMovement();
+    queueKeyboardFire();
+  });
+}
+
+// Camera views in the order the camera button cycles through them
+const viewOrder = ['default', 'side', 'top', 'chase', 'cinematic', 'firstPerson'];
+
+function cycleView(direction = 1) {
+  // Step on from the view being moved to if a transition is under way
+  const view = cameraTransition ? cameraTransition.view : currentView;
+  const index = viewOrder.indexOf(view);
+  queueInput(['view', viewOrder[(index + direction + viewOrder.length) % viewOrder.length]]);
+}
+
+// Switch to the next weapon the player has unlocked
+function cycleWeapon() {
+  const { weapon, weapons } = game.player;
+  const unlocked = weaponOrder.filter(name => weapons.includes(name));
+  queueInput(['weapon', unlocked[(unlocked.indexOf(weapon) + 1) % unlocked.length]]);
+}
+
+// Map a stick axis in -1..1 to a movement value, ignoring the deadzone near
+// the centre. Rounded so recordings of analog input stay small
+const analogDeadzone = 0.1;
+
+function analogAxis(value, deadzone = analogDeadzone) {
+  const magnitude = Math.abs(value);
+  if (magnitude < deadzone) return 0;
+  const scaled = Math.min((magnitude - deadzone) / (1 - deadzone), 1);
+  return Math.sign(value) * Math.round(scaled * 100) / 100;
+}
+
+// On-screen joystick and buttons for touch screens; style.css only shows
+// them on small screens. The ship's speed follows how far the knob is pushed
+function setupTouchControls() {
+  const container = document.createElement('div');
+  container.className = 'joystick-container';
+  container.innerHTML = '<div class="joystick-base"></div><div class="joystick-knob"></div>';
+  document.body.appendChild(container);
+
+  const base = container.querySelector('.joystick-base');
+  const knob = container.querySelector('.joystick-knob');
+  let activePointer = null;
+  let lastX = 0;
+  let lastY = 0;
+
+  // Only send commands when the stick actually changes
+  function steer(x, y) {
+    if (x !== lastX) queueInput(['moveX', x]);
+    if (y !== lastY) queueInput(['moveY', y]);
+    lastX = x;
+    lastY = y;
+  }
+
+  function moveKnob(e) {
+    const rect = base.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let dx = (e.clientX - rect.left - radius) / radius;
+    let dy = (e.clientY - rect.top - radius) / radius;
+    const length = Math.hypot(dx, dy);
+    if (length > 1) {
+      dx /= length;
+      dy /= length;
+    }
+    knob.style.transform = `translate(${dx * radius}px, ${dy * radius}px)`;
+    // Screen y points down, the playfield's points up
+    steer(analogAxis(dx), analogAxis(-dy));
+  }
+
+  function release(e) {
+    if (e.pointerId !== activePointer) return;
+    activePointer = null;
+    knob.style.transform = '';
+    steer(0, 0);
+  }
+
+  base.addEventListener('pointerdown', (e) => {
+    if (activePointer !== null) return;
+    e.preventDefault();
+    activePointer = e.pointerId;
+    base.setPointerCapture(e.pointerId);
+    moveKnob(e);
+  });
+  base.addEventListener('pointermove', (e) => {
+    if (e.pointerId === activePointer) moveKnob(e);
+  });
+  base.addEventListener('pointerup', release);
+  base.addEventListener('pointercancel', release);
+
+  function addButton(label, className, onPress, onRelease) {
+    const button = document.createElement('button');
+    button.className = `touch-button ${className}`;
+    button.textContent = label;
+    button.addEventListener('pointerdown', (e) => {
+      // Keep focus (and the keyboard) on the page
+      e.preventDefault();
+      button.setPointerCapture(e.pointerId);
+      onPress();
+    });
+    if (onRelease) {
+      button.addEventListener('pointerup', onRelease);
+      button.addEventListener('pointercancel', onRelease);
+    }
+    document.body.appendChild(button);
+  }
+
+  // Fires for as long as the button is held
+  addButton('Fire', 'fire', () => queueInput(['fire', 1]), () => queueInput(['fire', 0]));
+  addButton('View', 'camera', () => cycleView());
+  addButton('Weapon', 'weapon', () => cycleWeapon());
+}
+
+// Controller support, polled once per frame. Uses the standard button
+// layout: A/X and the triggers fire, Y switches weapon, bumpers cycle views,
+// start pauses
+const gamepadDeadzone = 0.2; // Worn sticks rarely rest at exactly zero
+const gamepadButtons = {
+  fire: [0, 2, 6, 7],
+  nextWeapon: [3],
+  previousView: [4],
+  nextView: [5],
+  start: [9],
+  up: [12],
+  down: [13],
+  left: [14],
+  right: [15]
+};
+
+let gamepadIndex = null;
+let gamepadPressed = {};
+let gamepadX = 0;
+let gamepadY = 0;
+let gamepadFire = 0;
+
+function setupGamepad() {
+  window.addEventListener('gamepadconnected', (e) => {
+    if (gamepadIndex === null) {
+      gamepadIndex = e.gamepad.index;
+      gamepadPressed = {};
+      updateGamepadUI(e.gamepad);
+    }
+  });
+
+  window.addEventListener('gamepaddisconnected', (e) => {
+    if (e.gamepad.index !== gamepadIndex) return;
+    gamepadIndex = null;
+    // Don't leave the ship drifting on the last stick position
+    if (gamepadX !== 0) queueInput(['moveX', 0]);
+    if (gamepadY !== 0) queueInput(['moveY', 0]);
+    if (gamepadFire !== 0) queueInput(['fire', 0]);
+    gamepadX = 0;
+    gamepadY = 0;
+    gamepadFire = 0;
+
+    // Fall back to any other controller still plugged in
+    const other = navigator.getGamepads().find(gamepad => gamepad && gamepad.connected);
+    gamepadIndex = other ? other.index : null;
+    updateGamepadUI(other);
+  });
+}
+
+function pollGamepad() {
+  if (gamepadIndex === null) return;
+  const gamepad = navigator.getGamepads()[gamepadIndex];
+  if (!gamepad) return;
+
+  // Buttons act on the frame they go down, like a keydown
+  const justPressed = {};
+  Object.entries(gamepadButtons).forEach(([action, indices]) => {
+    const down = indices.some(i => gamepad.buttons[i] && gamepad.buttons[i].pressed);
+    justPressed[action] = down && !gamepadPressed[action];
+    gamepadPressed[action] = down;
+  });
+
+  if (justPressed.start && !document.getElementById('controlsMenu')) {
+    if (gameState === 'title') {
+      startGame();
+    } else {
+      togglePause();
+    }
+  }
+  if (justPressed.nextWeapon) cycleWeapon();
+  if (justPressed.previousView) cycleView(-1);
+  if (justPressed.nextView) cycleView(1);
+
+  // Left stick steers with proportional speed; the d-pad overrides it at
+  // full speed. Stick y points down
+  let x = analogAxis(gamepad.axes[0] || 0, gamepadDeadzone);
+  let y = analogAxis(-(gamepad.axes[1] || 0), gamepadDeadzone);
+  if (gamepadPressed.left || gamepadPressed.right) {
+    x = (gamepadPressed.right ? 1 : 0) - (gamepadPressed.left ? 1 : 0);
+  }
+  if (gamepadPressed.up || gamepadPressed.down) {
+    y = (gamepadPressed.up ? 1 : 0) - (gamepadPressed.down ? 1 : 0);
+  }
+
+  // Only send changes so the keyboard and touch controls still work
+  const fire = gamepadPressed.fire ? 1 : 0;
+  if (x !== gamepadX && queueInput(['moveX', x])) gamepadX = x;
+  if (y !== gamepadY && queueInput(['moveY', y])) gamepadY = y;
+  if (fire !== gamepadFire && queueInput(['fire', fire])) gamepadFire = fire;
+}
+
+// Input commands waiting for the next simulation step
+let inputQueue = [];
+
+// Records the current run; replaced by a player while watching a replay
+let recorder = null;
+let replayPlayer = null;
+let lastRecording = null;
+
+// Returns whether the command was accepted
+function queueInput(command) {
+  // Live input only counts while playing, and not while a replay drives the game
+  if (replayPlayer || gameState !== 'playing') return false;
+  inputQueue.push(command);
+  return true;
+}
+
+// Apply this tick's commands: recorded ones during playback, queued ones
+// (which are also recorded) otherwise
+function applyInputs(tick) {
+  let commands;
+  if (replayPlayer) {
+    commands = replayPlayer.commandsFor(tick);
+  } else {
+    commands = inputQueue;
+    commands.forEach(command => recorder.record(tick, command));
+  }
+  inputQueue = [];
+  commands.forEach(applyInput);
+}
+
+function applyInput([action, value]) {
+  const player = game.player;
+  switch(action) {
+    case 'moveX':
+      player.velocity.x = value * player.speed;
+      break;
+    case 'moveY':
+      player.velocity.y = value * player.speed;
+      break;
+    case 'fire':
+      if (value) {
+        player.pullTrigger();
+      } else {
+        player.releaseTrigger();
+      }
+      break;
+    case 'weapon':
+      player.selectWeapon(value);
+      break;
+    case 'view':
+      transitionCamera(value);
+      break;
+    case 'resize':
+      setPlayfieldAspect(value);
+      break;
+  }
+}
+
+// The starfield as a single instanced mesh, so all the stars cost one draw
+// call. Each drifts down the screen and wraps back to the top
+class Starfield3D {
+  constructor(random, count) {
+    this.count = count;
+    this.mesh = new THREE.InstancedMesh(
+      new THREE.SphereGeometry(0.05, 4, 4),
+      new THREE.MeshBasicMaterial({ color: 0xffffff }),
+      count
+    );
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.frustumCulled = false; // The bounds are of one star, not the field
+
+    // x, y, z per star
+    this.positions = new Float32Array(count * 3);
+    this.previousPositions = new Float32Array(count * 3);
+    this.matrix = new THREE.Matrix4();
+    this.scatter(random);
+
+    scene.add(this.mesh);
+  }
+
+  // Place the stars anywhere in the field using the given generator
+  scatter(random) {
+    this.random = random;
+    const positions = this.positions;
+    for (let i = 0; i < positions.length; i += 3) {
+      positions[i] = (this.random() - 0.5) * 100;
+      positions[i + 1] = (this.random() - 0.5) * 100;
+      positions[i + 2] = (this.random() - 0.5) * 50;
+    }
+    this.previousPositions.set(positions);
+    this.interpolate(1);
+  }
+
+  update(dt) {
+    const positions = this.positions;
+    this.previousPositions.set(positions);
+    for (let i = 0; i < positions.length; i += 3) {
+      positions[i + 1] -= 6 * dt;
+      if (positions[i + 1] < -50) {
+        positions[i + 1] = 50;
+        positions[i] = (this.random() - 0.5) * 100;
+        positions[i + 2] = (this.random() - 0.5) * 50;
+        // Don't streak across the screen
+        this.previousPositions.set(positions.subarray(i, i + 3), i);
+      }
+    }
+  }
+
+  interpolate(alpha) {
+    const positions = this.positions;
+    const previous = this.previousPositions;
+    for (let i = 0; i < this.count; i++) {
+      const j = i * 3;
+      this.matrix.makeTranslation(
+        previous[j] + (positions[j] - previous[j]) * alpha,
+        previous[j + 1] + (positions[j + 1] - previous[j + 1]) * alpha,
+        previous[j + 2] + (positions[j + 2] - previous[j + 2]) * alpha
+      );
+      this.mesh.setMatrixAt(i, this.matrix);
+    }
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  dispose() {
+    disposeObject(this.mesh);
+  }
+}
+
+// Stars get their own stream derived from the run's seed so they don't shift
+// the asteroid sequence
+function createStarRandom() {
+  return createRandom(game.seed ^ 0x5bd1e995);
+}
+
+// Scatter the stars for a fresh start, resizing the field first if the
+// graphics quality has changed since
+function scatterStars() {
+  if (starfield.count === graphics.stars) {
+    starfield.scatter(createStarRandom());
+  } else {
+    starfield.dispose();
+    starfield = new Starfield3D(createStarRandom(), graphics.stars);
+  }
+}
+
+const hitFlashDuration = 0.15; // seconds
+
+// Hull colour of each enemy behaviour, so players can tell what's coming
+const enemyColors = {
+  strafe: 0xaa44ff,
+  dive: 0xff3344,
+  formation: 0x33ddaa
+};
+
+// Renders a simulation Enemy as a small fighter pointing at the player
+class Enemy3D {
+  constructor(enemy) {
+    this.enemy = enemy;
+    const color = enemyColors[enemy.behaviour];
+    this.mesh = new THREE.Group();
+
+    this.hullMaterial = new THREE.MeshPhongMaterial({ color: 0x444455, emissive: 0x000000, shininess: 60 });
+    const fuselageGeometry = new THREE.ConeGeometry(0.6, 2.4, 6);
+    fuselageGeometry.rotateX(Math.PI / 2); // Nose toward +z, the player
+    this.mesh.add(new THREE.Mesh(fuselageGeometry, this.hullMaterial));
+
+    const wingMaterial = new THREE.MeshPhongMaterial({ color: color, emissive: color, emissiveIntensity: 0.3 });
+    const wingGeometry = new THREE.BoxGeometry(3, 0.1, 0.9);
+    const wings = new THREE.Mesh(wingGeometry, wingMaterial);
+    wings.position.z = -0.4;
+    this.mesh.add(wings);
+
+    // Glowing eye at the nose and an engine at the back
+    const eye = new THREE.Mesh(
+      new THREE.SphereGeometry(0.2, 8, 8),
+      new THREE.MeshBasicMaterial({ color: color })
+    );
+    eye.position.set(0, 0.25, 0.5);
+    this.mesh.add(eye);
+
+    const engineLight = createPointLight(color, 1.5, 5);
+    engineLight.position.z = -1.4;
+    this.mesh.add(engineLight);
+
+    this.hitFlash = 0;
+    this.mesh.position.copy(enemy.position);
+    scene.add(this.mesh);
+  }
+
+  hit() {
+    this.hitFlash = hitFlashDuration;
+  }
+
+  update(dt) {
+    if (this.hitFlash > 0) {
+      this.hitFlash = Math.max(this.hitFlash - dt, 0);
+      this.hullMaterial.emissive.setHex(0xffffff).multiplyScalar(this.hitFlash / hitFlashDuration);
+    }
+  }
+
+  interpolate(alpha) {
+    const { position, previousPosition } = this.enemy;
+    this.mesh.position.lerpVectors(previousPosition, position, alpha);
+
+    // Bank into sideways movement
+    const sideways = position.x - previousPosition.x;
+    this.mesh.rotation.z = THREE.MathUtils.clamp(-sideways * 4, -0.6, 0.6);
+  }
+
+  destroy() {
+    scene.remove(this.mesh);
+  }
+
+  dispose() {
+    disposeObject(this.mesh);
+  }
+}
+
+// Renders a simulation EnemyShot as a glowing green bolt
+class EnemyShot3D {
+  constructor(shot) {
+    this.shot = shot;
+    this.mesh = enemyShotPool.acquire();
+    this.mesh.position.copy(shot.position);
+    scene.add(this.mesh);
+  }
+
+  interpolate(alpha) {
+    this.mesh.position.lerpVectors(this.shot.previousPosition, this.shot.position, alpha);
+  }
+
+  destroy() {
+    scene.remove(this.mesh);
+  }
+
+  dispose() {
+    enemyShotPool.release(this.mesh);
+  }
+}
+
+// Renders a simulation Boss: an armoured core behind a shield bubble, with
+// gun pods on struts that glow while an attack is being telegraphed
+class Boss3D {
+  constructor(boss) {
+    this.boss = boss;
+    this.mesh = new THREE.Group();
+    this.hitFlash = new Map(); // part -> seconds of flash left
+
+    const core = boss.core;
+    this.coreMaterial = new THREE.MeshPhongMaterial({ color: 0x553366, emissive: 0x000000, shininess: 80 });
+    this.mesh.add(new THREE.Mesh(new THREE.IcosahedronGeometry(core.hitboxRadius, 1), this.coreMaterial));
+
+    // Eye facing the player, brightening once the shield drops
+    this.eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xff2266 });
+    const eye = new THREE.Mesh(new THREE.SphereGeometry(core.hitboxRadius * 0.35, 16, 16), this.eyeMaterial);
+    eye.position.z = core.hitboxRadius * 0.85;
+    this.mesh.add(eye);
+
+    this.shieldMaterial = new THREE.MeshBasicMaterial({
+      color: 0x66aaff,
+      transparent: true,
+      opacity: 0.2,
+      depthWrite: false
+    });
+    this.shield = new THREE.Mesh(new THREE.SphereGeometry(core.hitboxRadius * 1.4, 24, 24), this.shieldMaterial);
+    this.mesh.add(this.shield);
+
+    const strutMaterial = new THREE.MeshPhongMaterial({ color: 0x333344 });
+    this.pods = new Map(); // part -> { mesh, material, strut }
+    boss.parts.slice(1).forEach(part => {
+      const material = new THREE.MeshPhongMaterial({ color: 0x886699, emissive: 0x000000, shininess: 60 });
+      const mesh = new THREE.Mesh(new THREE.OctahedronGeometry(part.hitboxRadius, 0), material);
+      const offset = new THREE.Vector3().copy(part.offset); // A plain {x, y, z} in the simulation
+      mesh.position.copy(offset);
+
+      // Strut from the core out to the pod
+      const length = offset.length();
+      const strut = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, length, 6), strutMaterial);
+      strut.position.copy(offset).multiplyScalar(0.5);
+      strut.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), offset.normalize());
+
+      this.mesh.add(mesh, strut);
+      this.pods.set(part, { mesh, material, strut });
+    });
+
+    this.light = createPointLight(0xff2266, 2, 20);
+    this.light.position.z = core.hitboxRadius + 1;
+    this.mesh.add(this.light);
+
+    this.mesh.position.copy(boss.position);
+    scene.add(this.mesh);
+  }
+
+  hit(part) {
+    this.hitFlash.set(part, hitFlashDuration);
+  }
+
+  partDestroyed(part) {
+    const pod = this.pods.get(part);
+    if (pod) {
+      pod.mesh.visible = false;
+      pod.strut.visible = false;
+    }
+  }
+
+  update(dt) {
+    const boss = this.boss;
+    this.mesh.rotation.z = Math.sin(boss.age * 0.5) * 0.1;
+    this.shield.visible = boss.coreShielded;
+    this.shield.rotation.y += dt * 0.5;
+
+    // Pods pulse while the next attack is winding up
+    const telegraph = boss.attack && boss.attack.telegraph > 0;
+    const pulse = telegraph ? 0.5 + 0.5 * Math.sin(boss.age * 20) : 0;
+
+    this.hitFlash.forEach((time, part) => {
+      const left = Math.max(time - dt, 0);
+      if (left > 0) {
+        this.hitFlash.set(part, left);
+      } else {
+        this.hitFlash.delete(part);
+      }
+    });
+
+    const flash = part => (this.hitFlash.get(part) || 0) / hitFlashDuration;
+    this.pods.forEach((pod, part) => {
+      pod.material.emissive.setHex(0xff5500).multiplyScalar(pulse);
+      pod.material.emissive.lerp(new THREE.Color(0xffffff), flash(part));
+    });
+    this.coreMaterial.emissive.setHex(0xffffff).multiplyScalar(flash(boss.core));
+    this.eyeMaterial.color.setHex(boss.coreShielded ? 0x992244 : 0xff2266);
+    this.light.intensity = 2 + pulse * 3;
+  }
+
+  interpolate(alpha) {
+    this.mesh.position.lerpVectors(this.boss.previousPosition, this.boss.position, alpha);
+  }
+
+  destroy() {
+    scene.remove(this.mesh);
+  }
+
+  dispose() {
+    disposeObject(this.mesh);
+  }
+}
+
+// Surface look of each obstacle type (see obstacleTypes in simulation.js).
+// Only plain rock gets the full set of craters, ridges and dust
+const obstacleLooks = {
+  rock: { color: 0x808080, roughness: 0.9, metalness: 0.1, details: true },
+  metal: { color: 0x99aabb, roughness: 0.35, metalness: 0.85, details: false },
+  armored: { color: 0x7a5a48, roughness: 0.7, metalness: 0.4, details: true },
+  ice: { color: 0xaaddff, roughness: 0.2, metalness: 0, emissive: 0x113355, opacity: 0.85, details: false },
+  iceShard: { color: 0xcceeff, roughness: 0.2, metalness: 0, emissive: 0x113355, opacity: 0.85, details: false }
+};
+
+// Resources every asteroid shares, including the materials its surface
+// details are merged under (see asteroidBuilder.js)
+const hitboxGeometry = shared(new THREE.SphereGeometry(1));
+const hitboxMaterial = shared(new THREE.MeshBasicMaterial({
+  visible: debug,
+  wireframe: true,
+  color: 0xff0000
+}));
+const detailMaterials = {
+  crater: shared(new THREE.MeshStandardMaterial({
+    color: 0x404040,
+    roughness: 0.9,
+    metalness: 0.1,
+    flatShading: true,
+    side: THREE.DoubleSide
+  })),
+  rock: shared(new THREE.MeshStandardMaterial({
+    color: 0x606060,
+    roughness: 0.9,
+    metalness: 0.1,
+    flatShading: true
+  })),
+  debris: shared(new THREE.MeshStandardMaterial({
+    color: 0x505050,
+    roughness: 1,
+    metalness: 0,
+    flatShading: true
+  })),
+  crack: shared(new THREE.LineBasicMaterial({
+    color: 0x202020,
+    linewidth: 2
+  }))
+};
+
+// The library's shapes come from a fixed seed, so they're the same every run
+const asteroidLibrarySeed = 0x5eed;
+const buildAsteroid = createAsteroidBuilder({ THREE, SimplexNoise, mergeGeometries });
+
+function asteroidGeometry(arrays) {
+  const itemSizes = { position: 3, normal: 3, color: 3, uv: 2 };
+  const geometry = new THREE.BufferGeometry();
+  Object.keys(arrays).forEach(name => {
+    geometry.setAttribute(name, new THREE.BufferAttribute(arrays[name], itemSizes[name]));
   });
-  const flash = new THREE.Mesh(flashGeometry, flashMaterial);
+  return shared(geometry);
+}
+
+// GPU side of a built asteroid, shared by every obstacle that uses it
+function createAsteroidVariant(asteroid) {
+  return {
+    geometry: asteroidGeometry(asteroid.rock),
+    details: asteroid.details.map(({ material, attributes }) => ({
+      geometry: asteroidGeometry(attributes),
+      material: detailMaterials[material]
+    })),
+    cracks: asteroid.cracks && asteroidGeometry({ position: asteroid.cracks }),
+    dust: asteroid.dust && asteroidGeometry({ position: asteroid.dust })
+  };
+}
+
+// Asteroid shapes built ahead of time and shared, so a spawning obstacle
+// borrows one rather than running noise and surface details there and then.
+// A worker builds them in the background. Until its first one arrives, or if
+// it can't run at all (e.g. offline, where it can't load its libraries), the
+// ones spawns ask for are built here.
+//
+// quality is a graphics preset's asteroids entry. When the preset changes
+// a new library takes over once it has a shape ready (see
+// currentAsteroidLibrary), and the old one is retired and only freed once the
+// last asteroid borrowing from it is gone
+class AsteroidLibrary {
+  constructor(quality) {
+    this.quality = quality;
+    this.options = { detail: quality.detail, surfaceDetail: quality.surfaceDetail, aoRays: quality.aoRays };
+    const random = createRandom(asteroidLibrarySeed);
+    this.seeds = Array.from({ length: quality.variants }, () => nextSeed(random));
+    this.variants = this.seeds.map(() => null);
+    this.ready = [];
+    this.worker = null;
+    this.users = 0; // Asteroids currently drawn with one of these shapes
+    this.retired = false;
+
+    try {
+      this.worker = new Worker(new URL('./asteroidWorker.js', import.meta.url), { type: 'module' });
+      this.worker.addEventListener('message', ({ data }) => this.add(data.index, data.asteroid));
+      this.worker.addEventListener('error', event => {
+        console.warn('Asteroid worker failed, building asteroids on the main thread:', event.message);
+        this.stopWorker();
+      });
+      this.worker.postMessage({ seeds: this.seeds, options: this.options });
+    } catch (error) {
+      console.warn('Asteroid worker not started, building asteroids on the main thread:', error);
+      this.worker = null;
+    }
+  }
+
+  add(index, asteroid) {
+    if (this.variants[index]) return; // Already built here while waiting
+    this.variants[index] = createAsteroidVariant(asteroid);
+    this.ready.push(this.variants[index]);
+    if (this.ready.length === this.variants.length) this.stopWorker();
+  }
+
+  stopWorker() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+  }
+
+  // The variant for an obstacle's seed, so a seed always gets the same shape.
+  // If the worker hasn't got to that one yet, borrow one it has built rather
+  // than stall the frame, and only build here when there's nothing to borrow
+  variantFor(seed) {
+    const index = seed % this.variants.length;
+    if (!this.variants[index] && (!this.worker || this.ready.length === 0)) {
+      this.add(index, buildAsteroid(this.seeds[index], this.options));
+    }
+    this.users++;
+    return this.variants[index] || this.ready[seed % this.ready.length];
+  }
+
+  // An asteroid is done with its shape
+  release() {
+    this.users--;
+    if (this.retired && this.users === 0) this.dispose();
+  }
+
+  retire() {
+    this.retired = true;
+    this.stopWorker();
+    if (this.users === 0) this.dispose();
+  }
+
+  dispose() {
+    this.stopWorker();
+    this.ready.forEach(variant => {
+      variant.geometry.dispose();
+      variant.details.forEach(detail => detail.geometry.dispose());
+      if (variant.cracks) variant.cracks.dispose();
+      if (variant.dust) variant.dust.dispose();
+    });
+    this.ready = [];
+  }
+}
+
+// Renders a simulation Obstacle as a detailed asteroid
+class Obstacle3D {
+  constructor(obstacle) {
+    this.obstacle = obstacle;
+    const size = obstacle.size;
+
+    // Shape, spin and stretch come from the obstacle's own seed, so the same
+    // run draws the same rocks once the library has built them (see variantFor)
+    this.random = createRandom(obstacle.seed);
+    this.library = currentAsteroidLibrary();
+    const variant = this.library.variantFor(obstacle.seed);
+
+    const look = obstacleLooks[obstacle.type];
+    const material = new THREE.MeshStandardMaterial({
+      color: look.color,
+      roughness: look.roughness,
+      metalness: look.metalness,
+      emissive: look.emissive || 0x000000,
+      transparent: look.opacity !== undefined,
+      opacity: look.opacity !== undefined ? look.opacity : 1,
+      flatShading: true,
+      vertexColors: true // Per-vertex shade and ambient occlusion
+    });
+    this.baseColor = material.color.clone();
+    this.baseEmissive = material.emissive.clone();
+
+    this.mesh = new THREE.Mesh(variant.geometry, material);
+    this.mesh.position.copy(obstacle.position);
+
+    if (look.details) {
+      variant.details.forEach(detail => this.mesh.add(new THREE.Mesh(detail.geometry, detail.material)));
+      if (variant.cracks) this.mesh.add(new THREE.LineSegments(variant.cracks, detailMaterials.crack));
+      if (variant.dust) {
+        // Point size doesn't follow the mesh's scale, so each rock sizes its own
+        this.mesh.add(new THREE.Points(variant.dust, new THREE.PointsMaterial({
+          color: 0x808080,
+          size: size * 0.05,
+          transparent: true,
+          opacity: 0.5,
+          blending: THREE.AdditiveBlending
+        })));
+      }
+    }
+
+    scene.add(this.mesh);
+
+    // Debug view of the simulation's collision sphere, a unit sphere scaled
+    // to its radius every frame
+    this.hitbox = new THREE.Mesh(hitboxGeometry, hitboxMaterial);
+    this.hitbox.position.copy(this.mesh.position);
+    scene.add(this.hitbox);
+
+    // Store properties
+    this.size = size;
+    this.rotationAxis = new THREE.Vector3(
+      this.random() - 0.5,
+      this.random() - 0.5,
+      this.random() - 0.5
+    ).normalize();
+
+    // Turn and stretch the shared shape a little so rocks using the same
+    // variant don't look alike
+    this.mesh.rotation.set(
+      this.random() * Math.PI * 2,
+      this.random() * Math.PI * 2,
+      this.random() * Math.PI * 2
+    );
+    this.baseScale = new THREE.Vector3(
+      0.85 + this.random() * 0.3,
+      0.85 + this.random() * 0.3,
+      0.85 + this.random() * 0.3
+    ).multiplyScalar(size);
+
+    // Seconds left on the flash shown when a hit doesn't destroy the rock
+    this.hitFlash = 0;
+  }
+
+  // Damage feedback: a hot flash, and the rock looks more scorched the less
+  // health it has left
+  hit() {
+    this.hitFlash = hitFlashDuration;
+    const health = Math.max(this.obstacle.health / this.obstacle.maxHealth, 0);
+    this.mesh.material.color.copy(this.baseColor).multiplyScalar(0.4 + 0.6 * health);
+  }
+
+  update(dt) {
+    // Rotate around random axis
+    this.mesh.rotateOnAxis(this.rotationAxis, this.obstacle.rotationSpeed * dt);
+
+    if (this.hitFlash > 0) {
+      this.hitFlash = Math.max(this.hitFlash - dt, 0);
+      this.mesh.material.emissive.setHex(0xff8844).multiplyScalar(this.hitFlash / hitFlashDuration)
+        .add(this.baseEmissive);
+    }
+  }
+
+  interpolate(alpha) {
+    const { position, previousPosition, scale } = this.obstacle;
+    this.mesh.position.lerpVectors(previousPosition, position, alpha);
+    this.hitbox.position.copy(this.mesh.position);
+
+    // Apply the simulation's distance-based scale to both mesh and hitbox
+    this.mesh.scale.copy(this.baseScale).multiplyScalar(scale);
+    this.hitbox.scale.setScalar(this.obstacle.hitboxRadius);
+  }
+
+  destroy() {
+    // Throw out debris in the asteroid's color
+    const particleCount = scaledParticles(20);
+    for (let i = 0; i < particleCount; i++) {
+      const velocity = new THREE.Vector3(
+        Math.random() - 0.5,
+        Math.random() - 0.5,
+        Math.random() - 0.5
+      ).multiplyScalar(12);
+      particles.emit(this.obstacle.position, velocity, this.size * 0.1, this.baseColor, 0.8);
+    }
+
+    // Remove asteroid meshes
+    scene.remove(this.mesh);
+    scene.remove(this.hitbox);
+  }
+
+  dispose() {
+    disposeObject(this.mesh);
+    disposeObject(this.hitbox);
+    this.library.release();
+  }
+}
+
+// Add this function before gameLoop
+function createExplosion(position) {
+  // Create explosion flash
+  const flash = flashPool.acquire();
+  flash.material.opacity = 1;
+  flash.scale.setScalar(1);
   flash.position.copy(position);
   scene.add(flash);
 
-  // Create particles
+  // Create particles, slowing down as they fly out
+  const particleCount = scaledParticles(30);
+  const color = new THREE.Color();
   for (let i = 0; i < particleCount; i++) {
-    const geometry = new THREE.SphereGeometry(0.2, 8, 8);
-    const material = new THREE.MeshBasicMaterial({
-      color: new THREE.Color().setHSL(Math.random() * 0.1, 1, 0.5), // Orange-red colors
-      transparent: true,
-      opacity: 1
-    });
-    
-    const particle = new THREE.Mesh(geometry, material);
-    particle.position.copy(position);
-    
-    // Random velocity in all directions
+    // Random velocity in all directions (units per second)
     const velocity = new THREE.Vector3(
       (Math.random() - 0.5) * 2,
       (Math.random() - 0.5) * 2,
       (Math.random() - 0.5) * 2
-    ).multiplyScalar(0.5);
-    
-    particles.push({ mesh: particle, velocity });
-    scene.add(particle);
+    ).multiplyScalar(30);
+    particles.emit(position, velocity, 0.2, color.setHSL(Math.random() * 0.1, 1, 0.5), 0.5, 0.98); // Orange-red colors
   }
 
   // Add point light for glow effect
-  const light = new THREE.PointLight(0xff5500, 5, 10);
+  const light = explosionLightPool.acquire();
+  light.intensity = 5;
   light.position.copy(position);
   scene.add(light);
 
   // Animate explosion
-  let frame = 0;
-  function animateExplosion() {
-    frame++;
-    
-    // Fade out and expand flash
-    flash.scale.multiplyScalar(1.1);
-    flash.material.opacity -= 0.15;
-    
-    // Update particles
-    particles.forEach(p => {
-      p.mesh.position.add(p.velocity);
-      p.mesh.material.opacity -= 0.02;
-      p.velocity.multiplyScalar(0.98); // Slow down particles
-    });
-
-    // Fade out light
-    light.intensity *= 0.9;
-
-    // Continue animation until particles fade out
-    if (frame < 30) {
-      requestAnimationFrame(animateExplosion);
-    } else {
-      // Clean up
-      scene.remove(flash);
-      scene.remove(light);
-      particles.forEach(p => scene.remove(p.mesh));
+  const duration = 0.5; // seconds
+  let age = 0;
+  effects.add({
+    update: (dt) => {
+      age += dt;
+
+      // Fade out and expand flash
+      flash.scale.multiplyScalar(Math.pow(1.1, dt * 60));
+      flash.material.opacity -= 9 * dt;
+
+      // Fade out light
+      light.intensity *= Math.pow(0.9, dt * 60);
+
+      return age < duration;
+    },
+    dispose: () => {
+      flashPool.release(flash);
+      explosionLightPool.release(light);
     }
-  }
-
-  animateExplosion();
+  });
 }
 
 // Add these variables at the top with other game state variables
-let deathAnimation = false;
 let deathCamera = null;
 let originalCameraPosition = null;
 let targetCameraPosition = null;
 let cameraAnimationProgress = 0;
+const deathCameraDuration = 0.8; // seconds
 
 // Add this new function to handle death sequence
 function startDeathSequence(killerAsteroid) {
-  if (deathAnimation) return;
-  deathAnimation = true;
+  setGameState('dying');
+
+  // Settle any camera transition so it doesn't fight the death camera
+  if (cameraTransition) {
+    currentView = cameraTransition.view;
+    cameraTransition = null;
+    isTransitioningCamera = false;
+    updateViewLabel();
+  }
   
   // Store original camera position
   originalCameraPosition = camera.position.clone();
   
   // Calculate new camera position for dramatic view
   const offsetDistance = 15;
-  const collisionPoint = player.mesh.position.clone();
+  const collisionPoint = new THREE.Vector3().copy(game.player.position);
   
   // Position camera to see both player and asteroid
   targetCameraPosition = new THREE.Vector3(
@@ -996,138 +1837,349 @@ function startDeathSequence(killerAsteroid) {
     collisionPoint.y + offsetDistance/2,
     collisionPoint.z + offsetDistance
   );
-  
-  // Slow down game physics
-  player.velocity.multiplyScalar(0.2);
-  killerAsteroid.speed *= 0.2;
-  
-  // Start death animation
-  animateDeathCamera();
 }
 
-// Add camera animation function
-function animateDeathCamera() {
-  if (!deathAnimation) return;
-  
-  cameraAnimationProgress += 0.02;
+// Advance the death camera, called once per simulation step
+function updateDeathCamera(dt) {
+  cameraAnimationProgress += dt / deathCameraDuration;
   const progress = THREE.MathUtils.smoothstep(cameraAnimationProgress, 0, 1);
   
   // Interpolate camera position
   camera.position.lerpVectors(originalCameraPosition, targetCameraPosition, progress);
   
   // Make camera look at collision point
-  camera.lookAt(player.mesh.position);
+  camera.lookAt(game.player.position.x, game.player.position.y, game.player.position.z);
   
   if (cameraAnimationProgress >= 1) {
     // Animation complete, show game over screen
     showGameOver();
-    return;
   }
-  
-  requestAnimationFrame(animateDeathCamera);
-}
-
-// Modify gameLoop to respect death animation
-function gameLoop() {
-  if (gameOver && !deathAnimation) return;
-
-  // Update camera position for special views
-  if (!deathAnimation && !isTransitioningCamera) {
-    if (currentView === 'chase') {
-      const targetPosition = player.mesh.position.clone();
-      targetPosition.z += 25;
-      targetPosition.y += 5;
-      
-      camera.position.lerp(targetPosition, 0.1);
-      camera.lookAt(player.mesh.position);
-    } else if (currentView === 'firstPerson') {
-      // Update camera position to be slightly above player
-      camera.position.copy(player.mesh.position);
-      camera.position.y += 0.8; // Camera height
-      
-      // Look forward
-      camera.rotation.set(0, Math.PI, 0);
-      
-      // Add slight tilt based on player movement
-      camera.rotation.z = player.mesh.rotation.z * 0.5;
-    } else {
-      const view = cameraViews[currentView];
-      if (view.lookAt) {
-        camera.lookAt(view.lookAt);
-      }
+}
+
+// Update the camera for views that follow the player, once per simulation step
+function updateCamera(dt) {
+  if (isTransitioningCamera) return;
+
+  const playerPosition = new THREE.Vector3().copy(game.player.position);
+  if (currentView === 'chase') {
+    const targetPosition = playerPosition.clone();
+    targetPosition.z += 25;
+    targetPosition.y += 5;
+    
+    camera.position.lerp(targetPosition, damp(0.1, dt));
+    camera.lookAt(playerPosition);
+  } else if (currentView === 'firstPerson') {
+    // Update camera position to be slightly above player
+    camera.position.copy(playerPosition);
+    camera.position.y += 0.8; // Camera height
+    
+    // Look forward
+    camera.rotation.set(0, Math.PI, 0);
+    
+    // Add slight tilt based on player movement
+    camera.rotation.z = playerView.mesh.rotation.z * 0.5;
+  } else {
+    const view = cameraViews[currentView];
+    if (view.lookAt) {
+      camera.lookAt(view.lookAt);
     }
   }
+}
 
-  // Update game objects at normal speed if not in death animation
-  if (!deathAnimation) {
-    // Update stars
-    stars.forEach(star => star.update());
+// Create and remove meshes as the simulation adds and removes entities.
+// Removed views free their GPU resources (or go back to their pool) straight
+// away, anything they leave behind like debris cleans up as an effect
+function bindSimulationEvents() {
+  game.on('obstacleAdded', obstacle => obstacleViews.set(obstacle, new Obstacle3D(obstacle)));
+  game.on('obstacleRemoved', obstacle => {
+    const view = obstacleViews.get(obstacle);
+    view.destroy();
+    view.dispose();
+    obstacleViews.delete(obstacle);
+  });
+  game.on('obstacleDamaged', obstacle => obstacleViews.get(obstacle).hit());
+
+  game.on('projectileAdded', projectile => projectileViews.set(projectile, new Projectile3D(projectile)));
+  game.on('projectileRemoved', projectile => {
+    const view = projectileViews.get(projectile);
+    view.destroy();
+    view.dispose();
+    projectileViews.delete(projectile);
+  });
 
-    // Update player
-    player.update();
+  game.on('powerUpAdded', powerUp => powerUpViews.set(powerUp, new PowerUp3D(powerUp)));
+  game.on('powerUpRemoved', powerUp => {
+    const view = powerUpViews.get(powerUp);
+    view.destroy();
+    view.dispose();
+    powerUpViews.delete(powerUp);
+  });
 
-    // Update obstacles
-    for (let i = obstacles.length - 1; i >= 0; i--) {
-      const obstacle = obstacles[i];
-      obstacle.update();
+  game.on('enemyAdded', enemy => enemyViews.set(enemy, new Enemy3D(enemy)));
+  game.on('enemyRemoved', enemy => {
+    const view = enemyViews.get(enemy);
+    view.destroy();
+    view.dispose();
+    enemyViews.delete(enemy);
+  });
+  game.on('enemyDamaged', enemy => enemyViews.get(enemy).hit());
+
+  game.on('enemyShotAdded', shot => enemyShotViews.set(shot, new EnemyShot3D(shot)));
+  game.on('enemyShotRemoved', shot => {
+    const view = enemyShotViews.get(shot);
+    view.destroy();
+    view.dispose();
+    enemyShotViews.delete(shot);
+  });
 
-      // Remove if passed player
-      if (obstacle.mesh.position.z > 15) {
-        obstacle.destroy();
-        obstacles.splice(i, 1);
-        continue;
-      }
+  game.on('bossAdded', boss => {
+    bossView = new Boss3D(boss);
+    showBanner('WARNING', 'boss-warning');
+  });
+  game.on('bossRemoved', () => {
+    bossView.destroy();
+    bossView.dispose();
+    bossView = null;
+  });
+  game.on('bossPartDamaged', (boss, part) => bossView.hit(part));
+  game.on('bossPartDestroyed', (boss, part) => bossView.partDestroyed(part));
+
+  game.on('levelStarted', level => {
+    const summary = document.getElementById('levelSummary');
+    if (summary) summary.remove();
+    // The first level of a run is announced once the run starts
+    if (gameState === 'playing') showLevelBanner(level);
+  });
+  game.on('levelComplete', showLevelSummary);
 
-      // This is where the collision check should be
-      if (checkCollision(player.mesh, obstacle.hitbox)) {
-        if (player.shield) {
-          createExplosion(obstacle.mesh.position);
-          obstacle.destroy();
-          obstacles.splice(i, 1);
-        } else {
-          startDeathSequence(obstacle);
-          break; // Exit the loop after starting death sequence
-        }
-      }
+  game.on('explosion', position => createExplosion(new THREE.Vector3().copy(position)));
+  game.on('scoreChanged', updateScoreUI);
+  game.on('playerDamaged', () => playerView.hit());
+  game.on('playerKilled', startDeathSequence);
+}
+
+// Advance the game by one fixed simulation step of dt seconds
+function updateSimulation(dt, tick) {
+  beginCameraStep();
+
+  // Explosions and debris keep playing out after the game ends
+  effects.forEach(effect => {
+    if (!effect.update(dt)) {
+      effects.delete(effect);
+      effect.dispose();
     }
+  });
+  particles.update(dt);
+
+  // Game objects are frozen while the death camera plays
+  if (gameState === 'title') {
+    starfield.update(dt);
+  } else if (gameState === 'dying') {
+    updateDeathCamera(dt);
+  } else if (gameState === 'playing') {
+    applyInputs(tick);
+    updateCameraTransition(dt);
+    updateCamera(dt);
+    camera.updateMatrixWorld();
+    game.step(dt);
+
+    // Purely visual motion: stars, ship tilt and spinning meshes
+    starfield.update(dt);
+    playerView.update(dt);
+    obstacleViews.forEach(view => view.update(dt));
+    powerUpViews.forEach(view => view.update(dt));
+    enemyViews.forEach(view => view.update(dt));
+    if (bossView) bossView.update(dt);
+  }
 
-    // Update projectiles
-    for (let i = projectiles.length - 1; i >= 0; i--) {
-      const projectile = projectiles[i];
-      projectile.update();
-
-      let hitObstacle = false;
-      for (let j = obstacles.length - 1; j >= 0; j--) {
-        const obstacle = obstacles[j];
-        if (checkCollision(projectile.mesh, obstacle.hitbox)) {
-          createExplosion(obstacle.mesh.position);
-          obstacle.destroy();
-          obstacles.splice(j, 1);
-          hitObstacle = true;
-          score++;
-          document.getElementById('score').textContent = `Score: ${score}`;
-          break;
-        }
-      }
+  endCameraStep();
+}
 
-      if (hitObstacle || projectile.mesh.position.z < -50) {
-        projectile.destroy();
-        projectiles.splice(i, 1);
-      }
+// Switch the renderer, asteroids, stars and lights to a graphics quality.
+// Asteroids already out keep their shapes, and the star count changes the
+// next time the stars are scattered so they don't all jump mid-run
+function applyGraphics(quality) {
+  graphicsQuality = quality;
+  graphics = graphicsPresets[quality];
+
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, graphics.maxPixelRatio));
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  camera.layers.set(0);
+  if (graphics.pointLights) camera.layers.enable(pointLightLayer);
+
+  // The current library carries on until the new one can take over
+  const asteroids = graphics.asteroids;
+  if (pendingAsteroidLibrary && pendingAsteroidLibrary.quality !== asteroids) {
+    pendingAsteroidLibrary.retire();
+    pendingAsteroidLibrary = null;
+  }
+  if (!asteroidLibrary) {
+    asteroidLibrary = new AsteroidLibrary(asteroids);
+  } else if (asteroidLibrary.quality !== asteroids && !pendingAsteroidLibrary) {
+    pendingAsteroidLibrary = new AsteroidLibrary(asteroids);
+  }
+  if (!starfield) starfield = new Starfield3D(createStarRandom(), graphics.stars);
+}
+
+// The library new asteroids take their shapes from. A replacement takes over
+// once its first shape has arrived, so switching quality mid-run doesn't
+// build one on the spot. Without a worker it never would, so then it takes
+// over straight away
+function currentAsteroidLibrary() {
+  const pending = pendingAsteroidLibrary;
+  if (pending && (pending.ready.length > 0 || !pending.worker)) {
+    asteroidLibrary.retire();
+    asteroidLibrary = pending;
+    pendingAsteroidLibrary = null;
+  }
+  return asteroidLibrary;
+}
+
+// Adaptive graphics: when frames keep taking longer than the budget while
+// playing, drop one quality and give it a while to settle before judging
+// again. It never raises the quality back, that's left to the player
+const adaptiveFrameBudget = 1 / 50; // seconds
+const adaptiveSlowTime = 3; // seconds of slow frames before lowering
+const adaptiveSettleTime = 5; // seconds after lowering before judging again
+let lastFrameTime = null;
+let averageFrameTime = 0;
+let slowFrameTime = 0;
+let adaptiveSettle = 0;
+
+function watchFrameTime(frameTime) {
+  if (frameTime > 0.25) return; // Most likely the tab was in the background
+  averageFrameTime += (frameTime - averageFrameTime) * 0.05;
+
+  // Menus and the title screen aren't representative
+  if (settings.adaptiveGraphics !== 'on' || gameState !== 'playing') {
+    slowFrameTime = 0;
+    return;
+  }
+  if (adaptiveSettle > 0) {
+    adaptiveSettle -= frameTime;
+    return;
+  }
+  slowFrameTime = averageFrameTime > adaptiveFrameBudget ? slowFrameTime + frameTime : 0;
+
+  const qualities = Object.keys(graphicsPresets);
+  const index = qualities.indexOf(graphicsQuality);
+  if (slowFrameTime > adaptiveSlowTime && index > 0) {
+    applyGraphics(qualities[index - 1]);
+    slowFrameTime = 0;
+    adaptiveSettle = adaptiveSettleTime;
+  }
+}
+
+// Runs for the whole page lifetime; the game state decides what it advances
+function gameLoop(now) {
+  requestAnimationFrame(gameLoop);
+  pollGamepad();
+  if (lastFrameTime !== null) watchFrameTime((now - lastFrameTime) / 1000);
+  lastFrameTime = now;
+
+  // Run as many fixed steps as real time has accumulated. Nothing advances
+  // while paused, so the frozen scene just keeps being drawn
+  if (gameState !== 'paused') {
+    clock.advance(now);
+    while (clock.nextStep()) {
+      updateSimulation(clock.step, clock.tick);
     }
   }
 
+  // Draw objects between the last two simulation states. Nothing moves once
+  // the player is dead, so hold them at their final positions
+  const alpha = gameState === 'dying' || gameState === 'gameOver' ? 1 : clock.alpha;
+  starfield.interpolate(alpha);
+  playerView.interpolate(alpha);
+  obstacleViews.forEach(view => view.interpolate(alpha));
+  powerUpViews.forEach(view => view.interpolate(alpha));
+  projectileViews.forEach(view => view.interpolate(alpha));
+  enemyViews.forEach(view => view.interpolate(alpha));
+  enemyShotViews.forEach(view => view.interpolate(alpha));
+  if (bossView) bossView.interpolate(alpha);
+  laserView.interpolate();
+  interpolateCamera(alpha);
+
+  updatePowerUpUI();
+  updateWeaponUI();
+  updateBossUI();
+  updatePlayerUI();
+
   renderer.render(scene, camera);
-  requestAnimationFrame(gameLoop);
+  updateRendererInfoUI();
 }
 
-// Initialize game
+// Initialize game (runs once per page load)
 function initGame() {
-  createStars();
+  applyGraphics(graphicsQuality);
   setupControls();
-  spawnObstacles();
+  setupTouchControls();
+  setupGamepad();
+  bindSimulationEvents();
   addViewUI();
-  gameLoop();
+  addPowerUpUI();
+  addWeaponUI();
+  addBossUI();
+  addPlayerUI();
+  addReplayUI();
+  addRendererInfoUI();
+
+  // Stars drift past the ship behind the title screen
+  scatterStars();
+  resetCameraPose();
+
+  // The title screen lists the levels, so it waits for them. Without them
+  // (e.g. opened from file://) there's still endless
+  loadLevels().then(levels => {
+    game.levels = levels;
+    selectedLevel = levels[0].id;
+  }, error => {
+    console.warn('Levels not loaded, only endless is available:', error);
+  }).then(() => {
+    if (gameState === 'title') showTitleScreen();
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden && gameState === 'playing') togglePause();
+  });
+
+  requestAnimationFrame(gameLoop);
+}
+
+// Leave the title screen and play the seed the page was opened with
+function startGame() {
+  const titleDiv = document.getElementById('titleScreen');
+  if (titleDiv) {
+    titleDiv.remove();
+  }
+  resetGame(game.seed);
+}
+
+// Start a fresh run with the current scene. The camera starts from its view's
+// resting pose and everything the run depends on is recorded
+function startRun() {
+  clock.reset();
+  scatterStars();
+  inputQueue = [];
+
+  const view = cameraViews[currentView];
+  camera.position.copy(view.position);
+  camera.rotation.copy(view.rotation);
+  if (view.lookAt) {
+    camera.lookAt(view.lookAt);
+  }
+  camera.updateMatrixWorld();
+  resetCameraPose();
+
+  if (replayPlayer) {
+    setPlayfieldAspect(replayPlayer.recording.aspect);
+  } else {
+    setPlayfieldAspect(camera.aspect);
+    recorder = new ReplayRecorder(game.seed, { aspect: camera.aspect, view: currentView, level: game.level.id });
+  }
+  updateReplayUI();
+  setGameState('playing');
+  showLevelBanner(game.level);
 }
 
 // Start the game
@@ -1135,11 +2187,30 @@ initGame();
 
 // Modify showGameOver function
 function showGameOver() {
-  gameOver = true;
+  setGameState('gameOver');
+
+  const levelSummary = document.getElementById('levelSummary');
+  if (levelSummary) levelSummary.remove();
+
+  if (replayPlayer) {
+    lastRecording = replayPlayer.recording;
+  } else {
+    lastRecording = recorder.finish({ ticks: clock.tick, score: game.score });
+  }
+
+  // Stats for the leaderboard, taken now before anything resets
+  const runSummary = {
+    score: game.score,
+    date: new Date().toISOString(),
+    duration: game.time,
+    accuracy: game.accuracy,
+    view: currentView
+  };
   
   // Wait for death animation to complete
-  setTimeout(() => {
+  scheduleTimeout(() => {
     const gameOverDiv = document.createElement('div');
+    gameOverDiv.id = 'gameOver';
     gameOverDiv.style.position = 'absolute';
     gameOverDiv.style.top = '50%';
     gameOverDiv.style.left = '50%';
@@ -1153,7 +2224,28 @@ function showGameOver() {
 
     gameOverDiv.innerHTML = `
       <h2 style="font-size: 24px; margin-bottom: 10px;">Game Over</h2>
-      <p style="font-size: 18px; margin-bottom: 20px;">Your score: ${score}</p>
+      <p style="font-size: 18px; margin-bottom: 10px;">Your score: ${game.score}</p>
+      <p style="font-size: 14px; margin-bottom: 20px;">
+        Seed: <a id="seedLink" href="${getSeedUrl(game.seed)}" style="color: #8cf;">${game.seed}</a>
+      </p>
+      <form id="highScoreEntry" style="display: none; margin-bottom: 15px;">
+        <p style="font-size: 16px; margin: 0 0 8px; color: #fc3;">New high score! Enter your name:</p>
+        <input id="highScoreName" maxlength="12" required style="
+          padding: 6px;
+          font-size: 16px;
+          width: 160px;
+        ">
+        <button type="submit" style="
+          padding: 6px 12px;
+          font-size: 16px;
+          background-color: #4CAF50;
+          color: white;
+          border: none;
+          border-radius: 5px;
+          cursor: pointer;
+        ">Save</button>
+      </form>
+      <div id="highScoreTable" style="margin-bottom: 20px;"></div>
       <button id="playAgain" style="
         padding: 10px 20px;
         font-size: 16px;
@@ -1164,43 +2256,580 @@ function showGameOver() {
         cursor: pointer;
         transition: background-color 0.3s;
       ">Play Again</button>
+      <button id="replaySeed" style="
+        padding: 10px 20px;
+        font-size: 16px;
+        background-color: #555;
+        color: white;
+        border: none;
+        border-radius: 5px;
+        cursor: pointer;
+        transition: background-color 0.3s;
+      ">Same Seed</button>
+      <div style="margin-top: 15px; font-size: 14px;">
+        <button id="exportReplay" style="
+          padding: 6px 12px;
+          font-size: 14px;
+          background-color: #555;
+          color: white;
+          border: none;
+          border-radius: 5px;
+          cursor: pointer;
+        ">Export Replay</button>
+        <button id="loadReplay" style="
+          padding: 6px 12px;
+          font-size: 14px;
+          background-color: #555;
+          color: white;
+          border: none;
+          border-radius: 5px;
+          cursor: pointer;
+        ">Load Replay</button>
+        <p id="replayError" style="color: #f66; margin: 10px 0 0;"></p>
+      </div>
     `;
 
     document.body.appendChild(gameOverDiv);
 
+    // Replays are reruns, they don't go on the leaderboard
+    const tableDiv = document.getElementById('highScoreTable');
+    tableDiv.innerHTML = renderHighScoreTable(loadHighScores());
+    if (!replayPlayer && qualifiesForHighScore(runSummary.score)) {
+      const entryForm = document.getElementById('highScoreEntry');
+      const nameInput = document.getElementById('highScoreName');
+      entryForm.style.display = 'block';
+      nameInput.value = loadPlayerName();
+      nameInput.focus();
+
+      entryForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const name = nameInput.value.trim();
+        if (!name) return;
+        savePlayerName(name);
+        const rank = addHighScore({ name, ...runSummary });
+        tableDiv.innerHTML = renderHighScoreTable(loadHighScores(), rank);
+        entryForm.remove();
+      });
+    }
+
     const playAgainButton = document.getElementById('playAgain');
     playAgainButton.addEventListener('click', () => {
-      location.reload();
+      resetGame();
+    });
+
+    document.getElementById('replaySeed').addEventListener('click', () => {
+      resetGame(game.seed, { level: lastRecording.level });
     });
+
+    document.getElementById('exportReplay').addEventListener('click', () => {
+      downloadReplay(lastRecording);
+    });
+
+    document.getElementById('loadReplay').addEventListener('click', chooseReplayFile);
   }, 2000); // Wait for death animation to complete
 }
 
-// Add reset function for play again
-function resetGame() {
-  score = 0;
-  gameOver = false;
-  deathAnimation = false;
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+// Leaderboard as an HTML table, optionally highlighting one row
+function renderHighScoreTable(scores, highlightIndex = -1) {
+  if (scores.length === 0) {
+    return '<p style="font-size: 14px; color: #aaa;">No high scores yet</p>';
+  }
+
+  const rows = scores.map((entry, i) => `
+    <tr style="${i === highlightIndex ? 'color: #fc3; font-weight: bold;' : ''}">
+      <td>${i + 1}</td>
+      <td style="text-align: left;">${escapeHTML(entry.name)}</td>
+      <td>${entry.score}</td>
+      <td>${formatDuration(entry.duration)}</td>
+      <td>${Math.round(entry.accuracy * 100)}%</td>
+      <td>${escapeHTML(entry.view)}</td>
+      <td>${new Date(entry.date).toLocaleDateString()}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <table style="font-size: 14px; border-spacing: 10px 2px; margin: 0 auto;">
+      <tr style="color: #aaa;">
+        <th>#</th><th style="text-align: left;">Name</th><th>Score</th><th>Time</th>
+        <th>Accuracy</th><th>View</th><th>Date</th>
+      </tr>
+      ${rows}
+    </table>
+  `;
+}
+
+// Pause or resume the run, showing the leaderboard while paused
+function togglePause() {
+  if (gameState === 'playing') {
+    setGameState('paused');
+    // Let go of the ship so it doesn't keep drifting or firing on resume
+    if (!replayPlayer) {
+      inputQueue.push(['moveX', 0], ['moveY', 0], ['fire', 0]);
+    }
+    // A stick or trigger still held on resume gets sent again
+    gamepadX = 0;
+    gamepadY = 0;
+    gamepadFire = 0;
+    showPauseMenu();
+  } else if (gameState === 'paused') {
+    document.getElementById('pauseMenu').remove();
+    clock.resync();
+    setGameState('playing');
+  }
+}
+
+// Abandon the paused run and go back to the title screen on a fresh seed
+function quitToTitle() {
+  document.getElementById('pauseMenu').remove();
+  replayPlayer = null;
+  clearRun(randomSeed());
+  updateReplayUI();
+  scatterStars();
+  setGameState('title');
+  showTitleScreen();
+}
+
+function showTitleScreen() {
+  const titleDiv = document.createElement('div');
+  titleDiv.id = 'titleScreen';
+  titleDiv.style.position = 'absolute';
+  titleDiv.style.top = '50%';
+  titleDiv.style.left = '50%';
+  titleDiv.style.transform = 'translate(-50%, -50%)';
+  titleDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+  titleDiv.style.padding = '20px';
+  titleDiv.style.borderRadius = '10px';
+  titleDiv.style.textAlign = 'center';
+  titleDiv.style.color = 'white';
+  titleDiv.style.fontFamily = 'Arial, sans-serif';
+  titleDiv.style.zIndex = '1000';
+
+  titleDiv.innerHTML = `
+    <h1 style="font-size: 32px; margin-bottom: 10px;">3D Asteroids</h1>
+    <p style="font-size: 14px; color: #aaa; margin-bottom: 20px;">
+      ${describeControls()}
+    </p>
+    <p style="margin-bottom: 20px;">
+      <label for="levelSelect">Start at </label>
+      <select id="levelSelect" style="
+        padding: 5px;
+        font-size: 14px;
+        background-color: #333;
+        color: white;
+        border: 1px solid #666;
+        border-radius: 5px;
+      ">
+        ${game.levels.map((level, i) => `
+          <option value="${escapeHTML(level.id)}" ${level.id === selectedLevel ? 'selected' : ''}>
+            ${escapeHTML(level.endless ? level.name : `${i + 1}. ${level.name}`)}
+          </option>
+        `).join('')}
+      </select>
+    </p>
+    <p style="margin-bottom: 20px;">
+      <label for="graphicsQualitySelect">Graphics </label>
+      ${renderSettingSelect('graphicsQuality', 'graphicsQualitySelect')}
+      <label for="adaptiveGraphicsSelect" style="margin-left: 10px;">Auto-adjust </label>
+      ${renderSettingSelect('adaptiveGraphics', 'adaptiveGraphicsSelect')}
+    </p>
+    <h3 style="font-size: 18px; margin-bottom: 10px;">High Scores</h3>
+    ${renderHighScoreTable(loadHighScores())}
+    <button id="startGame" style="
+      margin-top: 20px;
+      padding: 10px 20px;
+      font-size: 16px;
+      background-color: #4CAF50;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+    ">Start (Enter)</button>
+    <button id="titleControls" style="
+      margin-top: 20px;
+      padding: 10px 20px;
+      font-size: 16px;
+      background-color: #555;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+    ">Controls</button>
+    <button id="loadReplay" style="
+      margin-top: 20px;
+      padding: 10px 20px;
+      font-size: 16px;
+      background-color: #555;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+    ">Load Replay</button>
+    <p id="replayError" style="color: #f66; margin: 10px 0 0;"></p>
+  `;
+
+  document.body.appendChild(titleDiv);
+  document.getElementById('startGame').addEventListener('click', startGame);
+  document.getElementById('levelSelect').addEventListener('change', (e) => {
+    selectedLevel = e.target.value;
+    e.target.blur(); // So Enter starts the game rather than reopening the list
+  });
+  document.getElementById('graphicsQualitySelect').addEventListener('change', (e) => {
+    settings.graphicsQuality = e.target.value;
+    saveSettings(settings);
+    applyGraphics(settings.graphicsQuality);
+    e.target.blur();
+  });
+  document.getElementById('adaptiveGraphicsSelect').addEventListener('change', (e) => {
+    settings.adaptiveGraphics = e.target.value;
+    saveSettings(settings);
+    e.target.blur();
+  });
+  document.getElementById('titleControls').addEventListener('click', showControlsMenu);
+  document.getElementById('loadReplay').addEventListener('click', chooseReplayFile);
+}
+
+// Dropdown of a setting's choices (see settings.js) with its current value
+// selected
+function renderSettingSelect(setting, id) {
+  return `
+    <select id="${id}" style="
+      padding: 5px;
+      font-size: 14px;
+      background-color: #333;
+      color: white;
+      border: 1px solid #666;
+      border-radius: 5px;
+    ">
+      ${Object.entries(settingChoices[setting]).map(([value, label]) => `
+        <option value="${value}" ${value === settings[setting] ? 'selected' : ''}>${label}</option>
+      `).join('')}
+    </select>
+  `;
+}
+
+// One line summary of the current key bindings for the title screen
+function describeControls() {
+  const key = action => keyLabel(keyBindings[action][0]);
+  const move = ['moveUp', 'moveLeft', 'moveDown', 'moveRight'].map(key).join('');
+  return `Move with ${move}, shoot with ${key('fire')}, ${key('nextWeapon')} switches weapon, ` +
+    `${key('viewDefault')}-${key('viewFirstPerson')} change the view, ${key('pause')} pauses`;
+}
+
+function showPauseMenu() {
+  const pauseDiv = document.createElement('div');
+  pauseDiv.id = 'pauseMenu';
+  pauseDiv.style.position = 'absolute';
+  pauseDiv.style.top = '50%';
+  pauseDiv.style.left = '50%';
+  pauseDiv.style.transform = 'translate(-50%, -50%)';
+  pauseDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+  pauseDiv.style.padding = '20px';
+  pauseDiv.style.borderRadius = '10px';
+  pauseDiv.style.textAlign = 'center';
+  pauseDiv.style.color = 'white';
+  pauseDiv.style.fontFamily = 'Arial, sans-serif';
+  pauseDiv.style.zIndex = '1000';
+
+  pauseDiv.innerHTML = `
+    <h2 style="font-size: 24px; margin-bottom: 10px;">Paused</h2>
+    <h3 style="font-size: 18px; margin-bottom: 10px;">High Scores</h3>
+    ${renderHighScoreTable(loadHighScores())}
+    <button id="resumeGame" style="
+      margin-top: 20px;
+      padding: 10px 20px;
+      font-size: 16px;
+      background-color: #4CAF50;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+    ">Resume (${keyLabel(keyBindings.pause[0])})</button>
+    <button id="quitToTitle" style="
+      margin-top: 20px;
+      padding: 10px 20px;
+      font-size: 16px;
+      background-color: #555;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+    ">Quit to Title</button>
+    <button id="pauseControls" style="
+      margin-top: 20px;
+      padding: 10px 20px;
+      font-size: 16px;
+      background-color: #555;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+    ">Controls</button>
+    <button id="loadReplay" style="
+      margin-top: 20px;
+      padding: 10px 20px;
+      font-size: 16px;
+      background-color: #555;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+    ">Load Replay</button>
+    <p id="replayError" style="color: #f66; margin: 10px 0 0;"></p>
+  `;
+
+  document.body.appendChild(pauseDiv);
+  document.getElementById('resumeGame').addEventListener('click', togglePause);
+  document.getElementById('quitToTitle').addEventListener('click', quitToTitle);
+  document.getElementById('pauseControls').addEventListener('click', showControlsMenu);
+  document.getElementById('loadReplay').addEventListener('click', chooseReplayFile);
+}
+
+// Key binding slot waiting for a key press, as { action, slot }
+let rebindTarget = null;
+
+// Settings screen listing every action with its keys. Opens over the title
+// screen or pause menu
+function showControlsMenu() {
+  const menuDiv = document.createElement('div');
+  menuDiv.id = 'controlsMenu';
+  menuDiv.style.position = 'absolute';
+  menuDiv.style.top = '50%';
+  menuDiv.style.left = '50%';
+  menuDiv.style.transform = 'translate(-50%, -50%)';
+  menuDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+  menuDiv.style.padding = '20px';
+  menuDiv.style.borderRadius = '10px';
+  menuDiv.style.textAlign = 'center';
+  menuDiv.style.color = 'white';
+  menuDiv.style.fontFamily = 'Arial, sans-serif';
+  menuDiv.style.zIndex = '1001';
+  document.body.appendChild(menuDiv);
+
+  rebindTarget = null;
+  renderControlsMenu();
+}
+
+function renderControlsMenu(message = '') {
+  const menuDiv = document.getElementById('controlsMenu');
+
+  const rows = Object.entries(actions).map(([action, label]) => {
+    const slots = [];
+    for (let slot = 0; slot < maxKeysPerAction; slot++) {
+      const waiting = rebindTarget && rebindTarget.action === action && rebindTarget.slot === slot;
+      slots.push(`
+        <button class="bindKey" data-action="${action}" data-slot="${slot}" style="
+          width: 110px;
+          padding: 4px;
+          font-size: 14px;
+          background-color: ${waiting ? '#4CAF50' : '#333'};
+          color: white;
+          border: 1px solid #666;
+          border-radius: 5px;
+          cursor: pointer;
+        ">${waiting ? 'Press a key…' : escapeHTML(keyLabel(keyBindings[action][slot]))}</button>
+      `);
+    }
+    return `<tr><td style="text-align: left;">${label}</td><td>${slots.join('')}</td></tr>`;
+  }).join('');
+
+  menuDiv.innerHTML = `
+    <h2 style="font-size: 24px; margin-bottom: 10px;">Controls</h2>
+    <p style="font-size: 14px; color: #aaa; margin-bottom: 10px;">
+      Click a key, then press the new one. Escape cancels, Backspace clears it.
+    </p>
+    <table style="font-size: 14px; border-spacing: 10px 4px; margin: 0 auto;">${rows}</table>
+    <p id="controlsMessage" style="font-size: 14px; color: #f66; min-height: 18px;">${escapeHTML(message)}</p>
+    <button id="resetControls" style="
+      padding: 10px 20px;
+      font-size: 16px;
+      background-color: #555;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+    ">Reset to Defaults</button>
+    <button id="closeControls" style="
+      padding: 10px 20px;
+      font-size: 16px;
+      background-color: #4CAF50;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+    ">Done</button>
+  `;
+
+  menuDiv.querySelectorAll('.bindKey').forEach(button => {
+    button.addEventListener('click', () => {
+      rebindTarget = { action: button.dataset.action, slot: Number(button.dataset.slot) };
+      renderControlsMenu();
+    });
+  });
+  document.getElementById('resetControls').addEventListener('click', () => {
+    keyBindings = resetBindings();
+    rebindTarget = null;
+    renderControlsMenu();
+  });
+  document.getElementById('closeControls').addEventListener('click', closeControlsMenu);
+}
+
+function handleControlsMenuKey(e) {
+  if (!rebindTarget) {
+    if (e.code === 'Escape') closeControlsMenu();
+    return;
+  }
+
+  e.preventDefault();
+  const { action, slot } = rebindTarget;
+  rebindTarget = null;
+
+  if (e.code === 'Escape') {
+    renderControlsMenu();
+  } else if (e.code === 'Backspace') {
+    unbindKey(keyBindings, action, slot);
+    saveBindings(keyBindings);
+    renderControlsMenu();
+  } else {
+    // Refuse keys that already do something else rather than silently
+    // unbinding the other action
+    const conflict = bindKey(keyBindings, action, slot, e.code);
+    if (conflict) {
+      renderControlsMenu(`${keyLabel(e.code)} is already used for ${actions[conflict]}`);
+    } else {
+      saveBindings(keyBindings);
+      renderControlsMenu();
+    }
+  }
+}
+
+// Close the settings screen, refreshing whichever menu it was opened from
+function closeControlsMenu() {
+  rebindTarget = null;
+  heldKeys.clear();
+  document.getElementById('controlsMenu').remove();
+  updateViewLabel();
+
+  const titleDiv = document.getElementById('titleScreen');
+  if (titleDiv) {
+    titleDiv.remove();
+    showTitleScreen();
+  }
+  const pauseDiv = document.getElementById('pauseMenu');
+  if (pauseDiv) {
+    pauseDiv.remove();
+    showPauseMenu();
+  }
+}
+
+// Save a recording as a small JSON file
+function downloadReplay(recording) {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `asteroids-replay-${recording.seed}-${recording.score}.json`;
+  link.click();
+  // Some browsers cancel the download if the URL goes away straight after the
+  // click. Not one of the scheduled UI timeouts, so starting a run can't skip it
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Ask for a recording file and watch it. Used by the title screen, pause menu
+// and game over panel, each of which has a #replayError line for files that
+// won't load
+function chooseReplayFile() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+    try {
+      playReplay(parseReplay(await file.text()));
+    } catch (error) {
+      const errorLine = document.getElementById('replayError');
+      if (errorLine) errorLine.textContent = error.message;
+    }
+  });
+  input.click();
+}
+
+// Watch a recorded run from the start
+function playReplay(recording) {
+  const level = recording.level;
+  if (!game.levels.some(({ id }) => id === level)) {
+    throw new Error(`Replay is of the level '${level}', which isn't available`);
+  }
+
+  replayPlayer = new ReplayPlayer(recording);
+  currentView = recording.view in cameraViews ? recording.view : 'default';
+  updateViewLabel();
+  resetGame(recording.seed, { replay: true, level });
+}
+
+// Restart in place without reloading the page. Pass a seed to replay that
+// asteroid field, otherwise a new one is rolled. Runs start on the selected
+// level unless options.level is set. Any replay being watched stops unless
+// options.replay is set
+function resetGame(seed = randomSeed(), options = {}) {
+  if (!options.replay) {
+    replayPlayer = null;
+  }
+
+  clearRun(seed, options.level);
+  startRun();
+}
+
+// Tear down the current run and reset the simulation to the given seed and
+// level
+function clearRun(seed, level = selectedLevel) {
+  // Stop pending UI timeouts and any camera transition
+  cancelScheduled();
+  isTransitioningCamera = false;
+  cameraTransition = null;
+
+  // Free everything left over from the previous run
+  [obstacleViews, projectileViews, powerUpViews, enemyViews, enemyShotViews].forEach(views => {
+    views.forEach(view => view.dispose());
+    views.clear();
+  });
+  if (bossView) {
+    bossView.dispose();
+    bossView = null;
+  }
+  effects.forEach(effect => effect.dispose());
+  effects.clear();
+  particles.clear();
+
+  // Their timeouts were cancelled above
+  document.querySelectorAll('.banner, #levelSummary').forEach(element => element.remove());
+
+  game.reset(seed, levelIndex(level));
   cameraAnimationProgress = 0;
-  obstacles = [];
-  projectiles = [];
-  
-  // Reset camera
-  camera.position.copy(originalCameraPosition);
-  camera.lookAt(0, 0, 0);
-  
+  originalCameraPosition = null;
+  targetCameraPosition = null;
+
   // Reset player
-  player.mesh.position.set(0, 5, 0);
-  player.velocity.set(0, 0, 0);
-  
-  // Restart game
-  initGame();
+  playerView.reset(game.player);
+
+  // Reset HUD, closing whichever menu the run was started from
+  updateScoreUI(game.score);
+  document.querySelectorAll('#gameOver, #titleScreen, #pauseMenu').forEach(element => element.remove());
 }
 
-// Add UI to show current view
+// Add UI to show current view, under the lives and hull
 function addViewUI() {
   const viewLabel = document.createElement('div');
   viewLabel.style.position = 'absolute';
-  viewLabel.style.top = '60px';
+  viewLabel.style.top = '100px';
   viewLabel.style.left = '20px';
   viewLabel.style.color = 'white';
   viewLabel.style.fontFamily = 'Arial';
@@ -1208,10 +2837,6 @@ function addViewUI() {
   viewLabel.id = 'viewLabel';
   document.body.appendChild(viewLabel);
 
-  function updateViewLabel() {
-    viewLabel.textContent = `View: ${currentView} (Press 1-6 to change)`;
-  }
-
   // Update label when view changes
   const originalTransition = transitionCamera;
   transitionCamera = function(newView) {
@@ -1222,6 +2847,319 @@ function addViewUI() {
   updateViewLabel();
 }
 
+// Show which controller is in use, if any
+function updateGamepadUI(gamepad) {
+  let gamepadLabel = document.getElementById('gamepadLabel');
+  if (!gamepadLabel) {
+    gamepadLabel = document.createElement('div');
+    gamepadLabel.style.position = 'absolute';
+    gamepadLabel.style.top = '125px';
+    gamepadLabel.style.left = '20px';
+    gamepadLabel.style.color = '#aaa';
+    gamepadLabel.style.fontFamily = 'Arial';
+    gamepadLabel.style.fontSize = '14px';
+    gamepadLabel.id = 'gamepadLabel';
+    document.body.appendChild(gamepadLabel);
+  }
+  gamepadLabel.textContent = gamepad ? `Controller: ${gamepad.id}` : '';
+}
+
+// Lists the first key of each view action, since they may have been rebound
+// anywhere
+function updateViewLabel() {
+  const viewLabel = document.getElementById('viewLabel');
+  const keys = Object.keys(viewActions)
+    .filter(action => keyBindings[action].length > 0)
+    .map(action => keyLabel(keyBindings[action][0]));
+  const hint = keys.length > 0 ? ` (Press ${keys.join('/')} to change)` : '';
+  viewLabel.textContent = `View: ${currentView}${hint}`;
+}
+
+// Add a badge shown while a recorded run is playing back
+function addReplayUI() {
+  const replayLabel = document.createElement('div');
+  replayLabel.style.position = 'absolute';
+  replayLabel.style.top = '20px';
+  replayLabel.style.right = '20px';
+  replayLabel.style.color = '#f66';
+  replayLabel.style.fontFamily = 'Arial, sans-serif';
+  replayLabel.style.fontSize = '20px';
+  replayLabel.style.display = 'none';
+  replayLabel.id = 'replayLabel';
+  document.body.appendChild(replayLabel);
+}
+
+function updateReplayUI() {
+  const replayLabel = document.getElementById('replayLabel');
+  if (replayPlayer) {
+    replayLabel.textContent = `● REPLAY (seed ${replayPlayer.recording.seed})`;
+    replayLabel.style.display = 'block';
+  } else {
+    replayLabel.style.display = 'none';
+  }
+}
+
+function updateScoreUI(score) {
+  document.getElementById('score').textContent = `Score: ${score}`;
+}
+
+// Add HUD showing active power-up countdowns next to the score
+function addPowerUpUI() {
+  const powerUpLabel = document.createElement('div');
+  powerUpLabel.style.position = 'absolute';
+  powerUpLabel.style.top = '20px';
+  powerUpLabel.style.fontFamily = 'Arial, sans-serif';
+  powerUpLabel.style.fontSize = '24px';
+  powerUpLabel.id = 'powerUpLabel';
+  document.body.appendChild(powerUpLabel);
+}
+
+function updatePowerUpUI() {
+  const powerUpLabel = document.getElementById('powerUpLabel');
+  if (!powerUpLabel) return;
+
+  const player = game.player;
+  const html = Object.keys(player.activePowerUps).map(type => {
+    const powerUpType = powerUpTypes[type];
+    const seconds = Math.ceil(player.powerUpRemaining(type));
+    const color = '#' + powerUpType.color.toString(16).padStart(6, '0');
+    return `<span style="color: ${color}; margin-right: 15px;">${powerUpType.label} ${seconds}s</span>`;
+  }).join('');
+
+  if (powerUpLabel.dataset.html !== html) {
+    powerUpLabel.dataset.html = html;
+    powerUpLabel.innerHTML = html;
+  }
+
+  // Keep the label just to the right of the score as its width changes
+  const scoreRect = document.getElementById('score').getBoundingClientRect();
+  powerUpLabel.style.left = `${scoreRect.right + 20}px`;
+}
+
+// Add HUD with the current weapon and its heat meter, centred at the top
+function addWeaponUI() {
+  const weaponHUD = document.createElement('div');
+  weaponHUD.style.position = 'absolute';
+  weaponHUD.style.top = '20px';
+  weaponHUD.style.left = '50%';
+  weaponHUD.style.transform = 'translateX(-50%)';
+  weaponHUD.style.color = 'white';
+  weaponHUD.style.fontFamily = 'Arial, sans-serif';
+  weaponHUD.style.fontSize = '16px';
+  weaponHUD.style.textAlign = 'center';
+  weaponHUD.id = 'weaponHUD';
+  weaponHUD.innerHTML = `
+    <div id="weaponLabel"></div>
+    <div style="
+      width: 150px;
+      height: 8px;
+      margin-top: 4px;
+      background-color: rgba(255, 255, 255, 0.2);
+      border-radius: 4px;
+      overflow: hidden;
+    ">
+      <div id="heatBar" style="height: 100%; width: 0;"></div>
+    </div>
+  `;
+  document.body.appendChild(weaponHUD);
+}
+
+function updateWeaponUI() {
+  const player = game.player;
+
+  // Unlocked weapons in their weapon colors, the current one highlighted
+  const weaponLabel = document.getElementById('weaponLabel');
+  const html = weaponOrder.filter(weapon => player.weapons.includes(weapon)).map(weapon => {
+    const color = '#' + weaponTypes[weapon].color.toString(16).padStart(6, '0');
+    const current = weapon === player.weapon;
+    const label = weaponTypes[weapon].label + (current && player.overheated ? ' (overheated)' : '');
+    return `<span style="color: ${color}; margin: 0 8px; opacity: ${current ? 1 : 0.4};">${label}</span>`;
+  }).join('');
+  if (weaponLabel.dataset.html !== html) {
+    weaponLabel.dataset.html = html;
+    weaponLabel.innerHTML = html;
+  }
+
+  // Green when cool, through yellow to red at the limit
+  const heatBar = document.getElementById('heatBar');
+  heatBar.style.width = `${player.heat * 100}%`;
+  heatBar.style.backgroundColor = player.overheated ? '#f33' : `hsl(${120 - player.heat * 120}, 80%, 50%)`;
+}
+
+// Draw calls a busy frame should stay under; the readout turns red past it
+const drawCallBudget = 150;
+
+// Debug readout of draw calls, what's on the GPU and how full the mesh pools
+// are, for spotting slow frames and leaks over long sessions
+function addRendererInfoUI() {
+  const infoDiv = document.createElement('div');
+  infoDiv.style.position = 'absolute';
+  infoDiv.style.bottom = '20px';
+  infoDiv.style.left = '20px';
+  infoDiv.style.color = '#0f0';
+  infoDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+  infoDiv.style.padding = '8px';
+  infoDiv.style.fontFamily = 'monospace';
+  infoDiv.style.fontSize = '12px';
+  infoDiv.style.whiteSpace = 'pre';
+  infoDiv.style.pointerEvents = 'none';
+  infoDiv.style.display = debug ? 'block' : 'none';
+  infoDiv.id = 'rendererInfo';
+  document.body.appendChild(infoDiv);
+}
+
+function toggleRendererInfoUI() {
+  const infoDiv = document.getElementById('rendererInfo');
+  infoDiv.style.display = infoDiv.style.display === 'none' ? 'block' : 'none';
+}
+
+function updateRendererInfoUI() {
+  const infoDiv = document.getElementById('rendererInfo');
+  if (infoDiv.style.display === 'none') return;
+
+  const { memory, render, programs } = renderer.info;
+  const poolLine = (name, pool) => `${name.padEnd(12)} ${pool.size - pool.free.length} / ${pool.size}`;
+  const text = [
+    `Draw calls   ${render.calls} / ${drawCallBudget}`,
+    `Triangles    ${render.triangles}`,
+    `Geometries   ${memory.geometries}`,
+    `Textures     ${memory.textures}`,
+    `Programs     ${programs.length}`,
+    'Pools (in use / made)',
+    ...Object.keys(projectilePools).map(weapon => poolLine(weapon, projectilePools[weapon])),
+    poolLine('enemy shots', enemyShotPool),
+    `Particles    ${particles.particles.length} / ${particles.capacity}`,
+    poolLine('flashes', flashPool),
+    `Asteroids    ${asteroidLibrary.ready.length} / ${asteroidLibrary.variants.length} built` +
+      (asteroidLibrary.worker ? ' (worker)' : ''),
+    `Graphics     ${graphicsQuality}` +
+      (graphicsQuality !== settings.graphicsQuality ? ` (lowered from ${settings.graphicsQuality})` : ''),
+    `Frame        ${(averageFrameTime * 1000).toFixed(1)} ms`
+  ].join('\n');
+  if (infoDiv.textContent !== text) infoDiv.textContent = text;
+  infoDiv.style.color = render.calls > drawCallBudget ? '#f66' : '#0f0';
+}
+
+// Add HUD with the lives left and a hull bar, under the score
+function addPlayerUI() {
+  const playerHUD = document.createElement('div');
+  playerHUD.style.position = 'absolute';
+  playerHUD.style.top = '55px';
+  playerHUD.style.left = '20px';
+  playerHUD.style.color = 'white';
+  playerHUD.style.fontFamily = 'Arial, sans-serif';
+  playerHUD.style.fontSize = '16px';
+  playerHUD.id = 'playerHUD';
+  playerHUD.innerHTML = `
+    <div id="livesLabel"></div>
+    <div style="
+      width: 150px;
+      height: 8px;
+      margin-top: 4px;
+      background-color: rgba(255, 255, 255, 0.2);
+      border-radius: 4px;
+      overflow: hidden;
+    ">
+      <div id="hullBar" style="height: 100%; width: 100%;"></div>
+    </div>
+  `;
+  document.body.appendChild(playerHUD);
+}
+
+function updatePlayerUI() {
+  const livesLabel = document.getElementById('livesLabel');
+  const lives = `Ships: ${'▲ '.repeat(game.lives)}`;
+  if (livesLabel.textContent !== lives) livesLabel.textContent = lives;
+
+  // Green when whole, through yellow to red when nearly gone
+  const hull = game.player.hull / game.maxHull;
+  const hullBar = document.getElementById('hullBar');
+  hullBar.style.width = `${hull * 100}%`;
+  hullBar.style.backgroundColor = `hsl(${hull * 120}, 80%, 50%)`;
+}
+
+// Add boss health bar below the weapon HUD, hidden until a boss arrives
+function addBossUI() {
+  const bossHUD = document.createElement('div');
+  bossHUD.style.position = 'absolute';
+  bossHUD.style.top = '70px';
+  bossHUD.style.left = '50%';
+  bossHUD.style.transform = 'translateX(-50%)';
+  bossHUD.style.color = '#ff6688';
+  bossHUD.style.fontFamily = 'Arial, sans-serif';
+  bossHUD.style.fontSize = '14px';
+  bossHUD.style.textAlign = 'center';
+  bossHUD.style.display = 'none';
+  bossHUD.id = 'bossHUD';
+  bossHUD.innerHTML = `
+    <div id="bossLabel"></div>
+    <div style="
+      width: 300px;
+      height: 10px;
+      margin-top: 4px;
+      background-color: rgba(255, 255, 255, 0.2);
+      border-radius: 5px;
+      overflow: hidden;
+    ">
+      <div id="bossHealthBar" style="height: 100%; width: 100%; background-color: #ff2266;"></div>
+    </div>
+  `;
+  document.body.appendChild(bossHUD);
+}
+
+function updateBossUI() {
+  const bossHUD = document.getElementById('bossHUD');
+  const boss = game.boss;
+  bossHUD.style.display = boss ? 'block' : 'none';
+  if (!boss) return;
+
+  const label = `Mothership ${boss.level}` + (boss.coreShielded ? ' (shielded)' : '');
+  const bossLabel = document.getElementById('bossLabel');
+  if (bossLabel.textContent !== label) bossLabel.textContent = label;
+  document.getElementById('bossHealthBar').style.width = `${boss.health / boss.maxHealth * 100}%`;
+}
+
+// Big text across the middle of the screen for a moment, e.g. the warning as
+// a boss flies in
+function showBanner(text, className) {
+  const banner = document.createElement('div');
+  banner.className = `banner ${className}`;
+  banner.textContent = text;
+  document.body.appendChild(banner);
+  scheduleTimeout(() => banner.remove(), 2500);
+}
+
+function showLevelBanner(level) {
+  const number = game.levels.indexOf(level) + 1;
+  showBanner(level.endless || number === 0 ? level.name : `Level ${number}: ${level.name}`, 'level-banner');
+}
+
+// Stats for the level just finished, shown until the next one starts
+function showLevelSummary(summary) {
+  const summaryDiv = document.createElement('div');
+  summaryDiv.id = 'levelSummary';
+  summaryDiv.style.position = 'absolute';
+  summaryDiv.style.top = '50%';
+  summaryDiv.style.left = '50%';
+  summaryDiv.style.transform = 'translate(-50%, -50%)';
+  summaryDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+  summaryDiv.style.padding = '20px 40px';
+  summaryDiv.style.borderRadius = '10px';
+  summaryDiv.style.textAlign = 'center';
+  summaryDiv.style.color = 'white';
+  summaryDiv.style.fontFamily = 'Arial, sans-serif';
+  summaryDiv.style.pointerEvents = 'none';
+
+  summaryDiv.innerHTML = `
+    <h2 style="font-size: 28px; margin: 0 0 15px;">${escapeHTML(summary.level.name)} complete</h2>
+    <p style="margin: 5px 0;">Points: ${summary.points}</p>
+    <p style="margin: 5px 0;">Destroyed: ${summary.destroyed}</p>
+    <p style="margin: 5px 0;">Accuracy: ${Math.round(summary.accuracy * 100)}%</p>
+    <p style="margin: 5px 0;">Time: ${formatDuration(summary.time)}</p>
+  `;
+  document.body.appendChild(summaryDiv);
+}
+
 function createCoordinateGrid() {
   // Create main grid with more visible colors
   const gridSize = 200;
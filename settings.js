@@ -0,0 +1,42 @@
+// Player settings besides key bindings, saved in localStorage. Each setting
+// has a fixed list of choices, so a stale or hand-edited value can't get in.
+
+const storageKey = 'asteroids.settings';
+
+// Choices for each setting and how the settings screen labels them. Graphics
+// qualities are listed from cheapest to best
+export const settingChoices = {
+  graphicsQuality: { low: 'Low', medium: 'Medium', high: 'High', ultra: 'Ultra' },
+  adaptiveGraphics: { on: 'On', off: 'Off' }
+};
+
+export const defaultSettings = {
+  graphicsQuality: 'high',
+  adaptiveGraphics: 'on'
+};
+
+// Saved settings over the defaults, ignoring anything unknown
+export function loadSettings() {
+  const settings = { ...defaultSettings };
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    if (saved && typeof saved === 'object') {
+      Object.keys(settingChoices).forEach(setting => {
+        if (Object.hasOwn(settingChoices[setting], saved[setting])) {
+          settings[setting] = saved[setting];
+        }
+      });
+    }
+  } catch (error) {
+    // Unreadable storage, use the defaults
+  }
+  return settings;
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(settings));
+  } catch (error) {
+    // Not fatal, the settings just won't persist
+  }
+}
@@ -0,0 +1,1672 @@
+// Headless game simulation: score, spawning, difficulty, movement and
+// collision resolution. Nothing in here touches Three.js or the DOM, so it can
+// be stepped from Node. script.js renders this state and forwards input to it.
+
+import { capsuleOverlapsSphere, SpatialGrid, sweepSphere } from './collision.js';
+import { createRandom, nextSeed, randomSeed } from './random.js';
+
+export const maxObstacles = 5;
+export const maxDifficultyScore = 35;
+export const powerUpChance = 0.15; // Chance per spawn wave to also drop a power-up
+
+// Lives and hull. Collisions knock hull off and a life goes when it runs
+// out, the run ends with the last one. A respawned ship is untouchable for a
+// few seconds
+export const startingLives = 3;
+export const maxHull = 100;
+export const respawnDelay = 1.5; // Seconds between losing a ship and the next one
+export const invulnerableTime = 3;
+const hullDamagePerSize = 40; // Asteroid collisions by asteroid size
+const enemyRamDamage = 50;
+const enemyShotDamage = 20;
+const playerStart = { x: 0, y: 0, z: 10 };
+
+const horizonDistance = 50; // Obstacles and power-ups spawn at z = -horizonDistance
+const despawnDistance = 15; // ...and are removed once they pass this z
+const projectileRange = 50; // Projectiles are removed beyond z = -projectileRange
+const gridCellSize = 8; // Broadphase cells for projectile hits
+
+// Power-up types. To add a new one, give it a color, duration (seconds), label
+// and activate/deactivate hooks that toggle a flag on the player. Pickups
+// without a duration (the weapons) just activate and last the rest of the run
+export const powerUpTypes = {
+  shield: {
+    label: 'Shield',
+    color: 0x33aaff,
+    duration: 8,
+    activate: (player) => { player.shield = true; },
+    deactivate: (player) => { player.shield = false; }
+  },
+  rapidFire: {
+    label: 'Rapid Fire',
+    color: 0xffcc00,
+    duration: 6,
+    activate: (player) => { player.rapidFire = true; },
+    deactivate: (player) => { player.rapidFire = false; }
+  },
+  spread: {
+    label: 'Spread Shot',
+    color: 0x66ff66,
+    activate: (player) => player.unlockWeapon('spread')
+  },
+  laser: {
+    label: 'Laser',
+    color: 0xff33cc,
+    activate: (player) => player.unlockWeapon('laser')
+  },
+  missile: {
+    label: 'Homing Missiles',
+    color: 0xff8800,
+    activate: (player) => player.unlockWeapon('missile')
+  }
+};
+
+// Weapons. cooldown is the seconds between shots while the trigger is held
+// and heatPerShot how much of the heat meter (0 to 1) each shot uses. The
+// laser is continuous instead: it heats up and does damage per second for
+// as long as the trigger is held. Asteroids have as much health as their size
+export const weaponTypes = {
+  blaster: {
+    label: 'Blaster',
+    color: 0xff0000,
+    cooldown: 0.2,
+    heatPerShot: 0.07,
+    damage: 1,
+    speed: 30,
+    fire: (game) => game.fireProjectile('blaster')
+  },
+  spread: {
+    label: 'Spread Shot',
+    color: 0x66ff66,
+    cooldown: 0.35,
+    heatPerShot: 0.12,
+    damage: 0.5,
+    speed: 25,
+    // Fan of pellets, angles in radians off straight ahead
+    angles: [-0.24, -0.12, 0, 0.12, 0.24],
+    fire: (game) => weaponTypes.spread.angles.forEach(angle => game.fireProjectile('spread', angle))
+  },
+  laser: {
+    label: 'Laser',
+    color: 0xff33cc,
+    continuous: true,
+    heatPerSecond: 0.35,
+    damagePerSecond: 4
+  },
+  missile: {
+    label: 'Homing Missiles',
+    color: 0xff8800,
+    cooldown: 0.6,
+    heatPerShot: 0.2,
+    damage: 3,
+    speed: 18,
+    turnRate: 8, // How quickly it swings toward its target, per second
+    lifetime: 4, // Seconds before a missile that found nothing burns out
+    fire: (game) => game.fireProjectile('missile')
+  }
+};
+
+// Asteroid size classes, biggest first. Spawned rocks are large or medium,
+// and breaking one releases [min, max] fragments of the next tier down.
+// Smaller rocks are harder to hit so they're worth more
+export const asteroidTiers = [
+  { name: 'large', points: 1, fragments: [2, 3] },
+  { name: 'medium', points: 2, fragments: [2, 2] },
+  { name: 'small', points: 3, fragments: null }
+];
+const largeAsteroidSize = 1.5; // Spawned rocks at least this big are large
+const fragmentSizeScale = 0.6;
+const fragmentSpread = 0.35; // How far fragments veer off their parent's path
+
+// Obstacle archetypes. size is the [min, max] spawn size; speed, health and
+// points scale the usual values. Types appear once the difficulty score
+// reaches minScore and phase in to their full spawn weight over
+// typePhaseInScore points. tier pins the size class (otherwise it's picked
+// by size), and fragments / fragmentType / fragmentScale override how they
+// break up. Weight 0 types only appear as fragments
+export const obstacleTypes = {
+  rock: { size: [1, 2], speed: 1, health: 1, points: 1, minScore: 0, weight: 10 },
+  metal: { size: [0.6, 0.9], speed: 1.7, health: 2, points: 2, tier: 2, minScore: 8, weight: 3 },
+  armored: {
+    size: [2.4, 3], speed: 0.55, health: 3, points: 3, tier: 0, minScore: 15, weight: 2,
+    fragmentType: 'rock'
+  },
+  ice: {
+    size: [1, 1.6], speed: 1, health: 0.5, points: 1, minScore: 5, weight: 3,
+    fragments: [4, 6], fragmentType: 'iceShard', fragmentScale: 0.35
+  },
+  iceShard: { size: [0.3, 0.5], speed: 1.3, health: 0.5, points: 0.34, tier: 2, weight: 0 }
+};
+const typePhaseInScore = 10;
+
+// Enemy ships. Each behaviour is a steering pattern: strafe weaves across the
+// playfield, dive hovers then rams toward the player and formation flies a
+// V of count ships. They show up once the difficulty score reaches minScore,
+// like obstacle types
+export const enemyBehaviours = {
+  strafe: { health: 3, points: 5, fireInterval: 1.6, minScore: 10, weight: 3 },
+  dive: { health: 2, points: 5, fireInterval: 2.5, minScore: 15, weight: 2 },
+  formation: { health: 2, points: 3, fireInterval: 2.2, minScore: 20, weight: 2, count: [3, 5] }
+};
+const enemyEntrySpeed = 20;
+const enemyDiveSpeed = 28;
+const enemyStayTime = 8; // Seconds an enemy hangs around before pulling back
+const enemyShotSpeed = 15;
+const maxEnemies = 6; // No new enemies while this many are around
+
+// Boss fights. The first boss arrives at firstBossScore and another every
+// bossInterval points after each one is beaten. Ordinary spawning stops for
+// the fight. Each boss is a core shielded by weak-point pods: destroy the pods
+// to expose the core. Its attacks are telegraphed (the pods charge up for
+// telegraph seconds) before they fire
+export const firstBossScore = 50;
+export const bossInterval = 150;
+const bossHoldZ = -30;
+const bossSpeed = 8;
+const bossBreather = 2; // Seconds before spawning resumes after a boss
+
+const bossParts = [
+  { name: 'core', offset: [0, 0, 0], radius: 2.5, health: 30 },
+  { name: 'pod', offset: [-5.5, 1.5, 0], radius: 1.2, health: 8 },
+  { name: 'pod', offset: [5.5, 1.5, 0], radius: 1.2, health: 8 },
+  { name: 'pod', offset: [-3.5, -2.5, 0], radius: 1.2, health: 8 },
+  { name: 'pod', offset: [3.5, -2.5, 0], radius: 1.2, health: 8 }
+];
+
+// fan: a spread of shots from the core. aimed: bursts from every pod at the
+// player. ring: a ring from the exposed core, only once the pods are gone
+export const bossAttacks = {
+  fan: { telegraph: 1, podsRequired: false, coreExposed: false },
+  aimed: { telegraph: 0.6, podsRequired: true, coreExposed: false },
+  ring: { telegraph: 1.2, podsRequired: false, coreExposed: true }
+};
+
+// Levels (see levels.js for the file format). Endless is the original
+// procedural mode: spawn waves follow getDifficulty and bosses turn up at
+// score milestones. Play carries on in endless after the last level
+export const endlessLevel = { id: 'endless', name: 'Endless', endless: true, waves: [] };
+export const levelIntermission = 5; // Seconds between finishing a level and the next one starting
+
+const aimSpread = 5; // Aimed obstacles head for somewhere this close to the player
+const curveRate = 0.04; // Sideways turn of curving obstacles, per second
+
+// The order number keys and weapon cycling go through
+export const weaponOrder = ['blaster', 'spread', 'laser', 'missile'];
+
+export const heatCoolingRate = 0.25; // Heat lost per second
+export const overheatRecovery = 0.3; // An overheated weapon unlocks below this heat
+export const rapidFireCooldownScale = 0.5; // Rapid fire halves the cooldown...
+const rapidFireHeatScale = 0.5; // ...and the heat per shot, so it doesn't overheat sooner
+
+// Fixed-timestep simulation clock. Every step receives the same dt in seconds
+// no matter the display refresh rate; rendering interpolates between the last
+// two simulation states using alpha
+export class SimulationClock {
+  constructor(step = 1 / 60, maxFrameTime = 0.25) {
+    this.step = step;
+    this.maxFrameTime = maxFrameTime; // Avoid a spiral of death after long stalls
+    this.reset();
+  }
+
+  reset() {
+    this.lastTime = null;
+    this.accumulator = 0;
+    this.tick = 0;
+    this.time = 0;
+  }
+
+  // Feed the requestAnimationFrame timestamp (ms); returns real frame time in seconds
+  advance(now) {
+    if (this.lastTime === null) this.lastTime = now;
+    const frameTime = Math.min(Math.max((now - this.lastTime) / 1000, 0), this.maxFrameTime);
+    this.lastTime = now;
+    this.accumulator += frameTime;
+    return frameTime;
+  }
+
+  // Consume one fixed step if enough time has accumulated
+  nextStep() {
+    if (this.accumulator < this.step) return false;
+    this.accumulator -= this.step;
+    this.tick++;
+    this.time = this.tick * this.step;
+    return true;
+  }
+
+  // Forget the last frame timestamp, e.g. after a pause, so the gap isn't
+  // simulated on the next frame
+  resync() {
+    this.lastTime = null;
+  }
+
+  get alpha() {
+    return this.accumulator / this.step;
+  }
+}
+
+// Spawn rates and speeds for a given score. Difficulty stops growing at
+// maxDifficultyScore
+export function getDifficulty(score) {
+  const cappedScore = Math.min(score, maxDifficultyScore);
+  return {
+    cappedScore,
+    numObstacles: Math.min(1 + Math.floor(cappedScore / 10), maxObstacles),
+    spawnDelay: Math.max(0.3, 1 - cappedScore * 0.02), // seconds
+    obstacleSpeed: (6 + cappedScore * 0.6) * 2, // units per second
+    powerUpSpeed: (6 + cappedScore * 0.3) * 2,
+    // Share of obstacles aimed at the player rather than flying straight
+    // down z, and of those, how many curve on the way
+    aimedChance: Math.min(0.7, cappedScore * 0.03),
+    curvedChance: Math.min(0.3, Math.max(0, (cappedScore - 10) * 0.02)),
+    obstacleWeights: getTypeWeights(obstacleTypes, cappedScore),
+    // Chance per spawn wave of also sending in enemy ships
+    enemyChance: Math.min(0.35, Math.max(0, (cappedScore - 10) * 0.025)),
+    enemyWeights: getTypeWeights(enemyBehaviours, cappedScore)
+  };
+}
+
+// Spawn weights of a table of types with minScore / weight, phasing each in
+// over typePhaseInScore points
+function getTypeWeights(types, cappedScore) {
+  const weights = {};
+  Object.entries(types).forEach(([name, type]) => {
+    const phaseIn = Math.min(Math.max((cappedScore - (type.minScore || 0)) / typePhaseInScore, 0), 1);
+    weights[name] = type.minScore === 0 ? type.weight : type.weight * phaseIn;
+  });
+  return weights;
+}
+
+// Weighted random pick from a { name: weight } table
+function pickWeighted(weights, random) {
+  const entries = Object.entries(weights);
+  let roll = random() * entries.reduce((total, [, weight]) => total + weight, 0);
+  for (const [name, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return name;
+  }
+  return entries[0][0];
+}
+
+// Playfield used when no renderer supplies its own bounds check. Roughly what
+// the default camera sees at the player's depth
+function isWithinDefaultBounds(position) {
+  return Math.abs(position.x) <= 12 && Math.abs(position.y) <= 6.5;
+}
+
+function vector(x = 0, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+function copyVector(target, source) {
+  target.x = source.x;
+  target.y = source.y;
+  target.z = source.z;
+  return target;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function smoothstep(x, min, max) {
+  if (x <= min) return 0;
+  if (x >= max) return 1;
+  x = (x - min) / (max - min);
+  return x * x * (3 - 2 * x);
+}
+
+// Every entity keeps its previous position so renderers can interpolate
+class Entity {
+  constructor(x, y, z) {
+    this.position = vector(x, y, z);
+    this.previousPosition = vector(x, y, z);
+    this.removed = false; // Set once the game drops it, for anything still holding on to it
+  }
+
+  savePosition() {
+    copyVector(this.previousPosition, this.position);
+  }
+}
+
+export class Player extends Entity {
+  constructor(game) {
+    super(playerStart.x, playerStart.y, playerStart.z);
+    this.game = game;
+    this.hull = game.maxHull;
+    this.wrecked = false; // Between losing a life and respawning
+    this.respawnTimer = 0;
+    this.invulnerableTime = 0; // Seconds left
+
+    // Movement properties (units per second)
+    this.velocity = vector();
+    this.speed = 12;
+    this.shield = false;
+    this.rapidFire = false;
+
+    // Weapon state. The trigger is held between pullTrigger and
+    // releaseTrigger; fireTimer counts down to the next allowed shot
+    this.weapon = 'blaster';
+    this.weapons = ['blaster']; // Unlocked so far
+    this.firing = false;
+    this.triggerPulled = false;
+    this.fireTimer = 0;
+    this.heat = 0;
+    this.overheated = false;
+    this.laserOn = false;
+    this.laserHit = false; // Whether the current laser burst touched anything
+
+    // Active power-ups, keyed by type with their expiry time (game.time)
+    this.activePowerUps = {};
+  }
+
+  update(dt) {
+    this.savePosition();
+    this.invulnerableTime = Math.max(this.invulnerableTime - dt, 0);
+    if (this.wrecked) return; // Nothing to fly or fire until it respawns
+
+    this.position.x += this.velocity.x * dt;
+    this.position.y += this.velocity.y * dt;
+    this.position.z += this.velocity.z * dt;
+
+    // If out of bounds, revert the position update
+    if (!this.game.isWithinBounds(this.position)) {
+      copyVector(this.position, this.previousPosition);
+    }
+
+    this.updateWeapon(dt);
+    this.updatePowerUps(this.game.time);
+  }
+
+  // Capsules around the rocket: one down the body, nose to tail, and one
+  // across the fins at the back
+  get colliders() {
+    const { x, y, z } = this.position;
+    return [
+      { start: vector(x, y, z - 1.6), end: vector(x, y, z + 1.4), radius: 0.8 },
+      { start: vector(x - 1.7, y, z + 1), end: vector(x + 1.7, y, z + 1), radius: 0.35 }
+    ];
+  }
+
+  // Whether a sphere touches the ship
+  touches(center, radius) {
+    return this.colliders.some(capsule => capsuleOverlapsSphere(capsule, center, radius));
+  }
+
+  // Whether collisions count. The shield still soaks them up, see step()
+  get vulnerable() {
+    return !this.wrecked && this.invulnerableTime === 0;
+  }
+
+  wreck() {
+    this.wrecked = true;
+    this.respawnTimer = respawnDelay;
+    this.laserOn = false;
+  }
+
+  // Back at the start with a full hull. Velocity is left alone so keys still
+  // held keep steering the new ship
+  respawn() {
+    copyVector(this.position, playerStart);
+    copyVector(this.previousPosition, playerStart);
+    this.hull = this.game.maxHull;
+    this.wrecked = false;
+    this.invulnerableTime = invulnerableTime;
+  }
+
+  get fireInterval() {
+    const cooldown = weaponTypes[this.weapon].cooldown;
+    return this.rapidFire ? cooldown * rapidFireCooldownScale : cooldown;
+  }
+
+  pullTrigger() {
+    this.firing = true;
+    // Remembered so a press and release within one step still fires
+    this.triggerPulled = true;
+  }
+
+  releaseTrigger() {
+    this.firing = false;
+  }
+
+  // Switch to an unlocked weapon; anything else is ignored
+  selectWeapon(weapon) {
+    if (this.weapons.includes(weapon)) {
+      this.weapon = weapon;
+    }
+  }
+
+  // Picking up a weapon also switches to it
+  unlockWeapon(weapon) {
+    if (!this.weapons.includes(weapon)) {
+      this.weapons.push(weapon);
+    }
+    this.weapon = weapon;
+  }
+
+  updateWeapon(dt) {
+    this.heat = Math.max(0, this.heat - heatCoolingRate * dt);
+    if (this.overheated && this.heat <= overheatRecovery) {
+      this.overheated = false;
+    }
+
+    const weaponType = weaponTypes[this.weapon];
+    if (weaponType.continuous) {
+      this.updateLaser(dt, weaponType);
+      this.triggerPulled = false;
+      return;
+    }
+    this.laserOn = false;
+
+    this.fireTimer -= dt;
+    if (this.firing || this.triggerPulled) {
+      while (this.fireTimer <= 0 && !this.overheated) {
+        this.fireWeapon();
+        this.fireTimer += this.fireInterval;
+      }
+    }
+    // Don't bank shots while the trigger is up
+    this.fireTimer = Math.max(this.fireTimer, 0);
+    this.triggerPulled = false;
+  }
+
+  fireWeapon() {
+    const weaponType = weaponTypes[this.weapon];
+    weaponType.fire(this.game);
+    this.addHeat(weaponType.heatPerShot);
+  }
+
+  updateLaser(dt, weaponType) {
+    const on = (this.firing || this.triggerPulled) && !this.overheated;
+    // Each burst counts as one shot for accuracy
+    if (on && !this.laserOn) {
+      this.game.shotsFired++;
+      this.laserHit = false;
+    }
+    this.laserOn = on;
+    if (!on) return;
+
+    if (this.game.fireLaser(weaponType.damagePerSecond * dt) && !this.laserHit) {
+      this.game.asteroidsHit++;
+      this.laserHit = true;
+    }
+    this.addHeat(weaponType.heatPerSecond * dt);
+  }
+
+  addHeat(amount) {
+    const heatScale = this.rapidFire ? rapidFireHeatScale : 1;
+    this.heat = Math.min(1, this.heat + amount * heatScale);
+    if (this.heat >= 1) {
+      this.overheated = true;
+      this.laserOn = false;
+    }
+  }
+
+  activatePowerUp(type) {
+    const powerUpType = powerUpTypes[type];
+    if (powerUpType.duration) {
+      this.activePowerUps[type] = this.game.time + powerUpType.duration;
+    }
+    powerUpType.activate(this);
+  }
+
+  updatePowerUps(now) {
+    for (const type of Object.keys(this.activePowerUps)) {
+      if (now >= this.activePowerUps[type]) {
+        delete this.activePowerUps[type];
+        powerUpTypes[type].deactivate(this);
+      }
+    }
+  }
+
+  // Seconds left on a power-up, 0 if it isn't active
+  powerUpRemaining(type) {
+    return type in this.activePowerUps ? this.activePowerUps[type] - this.game.time : 0;
+  }
+
+}
+
+export class Obstacle extends Entity {
+  constructor(x, y, z, size, speed, rotationSpeed, seed, tier = 0, type = 'rock') {
+    super(x, y, z);
+    this.type = type; // Key into obstacleTypes
+    this.size = size;
+    this.speed = speed;
+    this.rotationSpeed = rotationSpeed; // radians per second, used for rendering
+    this.seed = seed; // Drives the renderer's random surface details
+    this.tier = tier; // Index into asteroidTiers
+    this.direction = vector(0, 0, 1);
+    this.curve = null; // Sideways change of direction per second, if curving
+    this.scale = 1;
+    // Weapons take off their damage value per hit
+    this.maxHealth = size * obstacleTypes[type].health;
+    this.health = this.maxHealth;
+  }
+
+  // Collision radius, the rock's mean surface at its drawn scale (asteroids
+  // grow as they approach the view point). Its bumps stick out 30% either side
+  get hitboxRadius() {
+    return this.size * this.scale;
+  }
+
+  update(dt, viewPoint) {
+    this.savePosition();
+    // Bend sideways, but never so far that it stops coming toward the player
+    if (this.curve && this.direction.z > 0.5) {
+      const d = this.direction;
+      d.x += this.curve.x * dt;
+      d.y += this.curve.y * dt;
+      const length = Math.hypot(d.x, d.y, d.z);
+      d.x /= length;
+      d.y /= length;
+      d.z /= length;
+    }
+    this.position.x += this.direction.x * this.speed * dt;
+    this.position.y += this.direction.y * this.speed * dt;
+    this.position.z += this.direction.z * this.speed * dt;
+
+    // Calculate distance-based scaling
+    const maxDistance = 50; // Distance where asteroid is smallest
+    const minDistance = 5;  // Distance where asteroid is largest
+    const t = smoothstep(distance(this.position, viewPoint), minDistance, maxDistance);
+    this.scale = 1.5 + (0.5 - 1.5) * t;
+  }
+}
+
+// A shot from one of the projectile weapons. angle turns it left or right of
+// straight ahead (-z), in radians
+export class Projectile extends Entity {
+  constructor(x, y, z, weapon, angle = 0) {
+    super(x, y, z);
+    const weaponType = weaponTypes[weapon];
+    this.weapon = weapon;
+    this.damage = weaponType.damage;
+    this.hitboxRadius = 0.2;
+    this.speed = weaponType.speed; // units per second
+    this.velocity = vector(Math.sin(angle) * this.speed, 0, -Math.cos(angle) * this.speed);
+    this.turnRate = weaponType.turnRate || 0;
+    this.lifetime = weaponType.lifetime || Infinity;
+    this.age = 0;
+    this.target = null;
+  }
+
+  update(dt, obstacles) {
+    this.savePosition();
+    if (this.turnRate) {
+      this.steer(dt, obstacles);
+    }
+    this.position.x += this.velocity.x * dt;
+    this.position.y += this.velocity.y * dt;
+    this.position.z += this.velocity.z * dt;
+    this.age += dt;
+  }
+
+  // Homing: lock on to the nearest asteroid ahead and keep chasing it until
+  // it's gone, swinging the velocity toward it at turnRate without changing
+  // speed
+  steer(dt, obstacles) {
+    if (!this.target || !obstacles.includes(this.target)) {
+      this.target = null;
+      let nearest = Infinity;
+      obstacles.forEach(obstacle => {
+        const d = distance(obstacle.position, this.position);
+        if (obstacle.position.z < this.position.z && d < nearest) {
+          nearest = d;
+          this.target = obstacle;
+        }
+      });
+    }
+    if (!this.target) return;
+
+    const toTarget = vector(
+      this.target.position.x - this.position.x,
+      this.target.position.y - this.position.y,
+      this.target.position.z - this.position.z
+    );
+    const targetDistance = Math.hypot(toTarget.x, toTarget.y, toTarget.z) || 1;
+    const turn = Math.min(1, this.turnRate * dt);
+    const v = this.velocity;
+    v.x += (toTarget.x / targetDistance * this.speed - v.x) * turn;
+    v.y += (toTarget.y / targetDistance * this.speed - v.y) * turn;
+    v.z += (toTarget.z / targetDistance * this.speed - v.z) * turn;
+    const scale = this.speed / (Math.hypot(v.x, v.y, v.z) || 1);
+    v.x *= scale;
+    v.y *= scale;
+    v.z *= scale;
+  }
+
+  get expired() {
+    const p = this.position;
+    return p.z < -projectileRange || p.z > despawnDistance || Math.abs(p.x) > projectileRange ||
+      Math.abs(p.y) > projectileRange || this.age > this.lifetime;
+  }
+}
+
+// An enemy ship. It flies in from the horizon to a holding depth, runs its
+// behaviour's steering pattern while firing at the player, then pulls back
+// (or, for divers, rams through)
+export class Enemy extends Entity {
+  constructor(x, y, z, behaviour, seed, formationOffset = null) {
+    super(x, y, z);
+    const behaviourType = enemyBehaviours[behaviour];
+    this.behaviour = behaviour;
+    this.seed = seed; // For the renderer
+    this.hitboxRadius = 1.3; // Wingtips poke out a little
+    this.maxHealth = behaviourType.health;
+    this.health = this.maxHealth;
+    this.points = behaviourType.points;
+
+    // Where the pattern is centred (for a formation, the leader's spot) and
+    // this ship's place in the formation
+    const offset = formationOffset || vector();
+    this.anchor = vector(x - offset.x, y - offset.y, -15 - (seed % 100) / 10); // Holds at z -15 to -25
+    this.formationOffset = formationOffset;
+    this.phase = (seed % 628) / 100; // Desynchronises weaving ships
+    this.age = 0;
+    this.fireTimer = behaviourType.fireInterval;
+    this.state = 'entering'; // then 'active', and 'leaving' or 'diving'
+    this.velocity = vector();
+  }
+
+  // Move toward a point at no more than speed
+  seek(target, speed, dt) {
+    const dx = target.x - this.position.x;
+    const dy = target.y - this.position.y;
+    const dz = target.z - this.position.z;
+    const length = Math.hypot(dx, dy, dz);
+    const stepLength = Math.min(length, speed * dt);
+    if (length > 0) {
+      this.position.x += dx / length * stepLength;
+      this.position.y += dy / length * stepLength;
+      this.position.z += dz / length * stepLength;
+    }
+    return length - stepLength;
+  }
+
+  update(dt, game) {
+    this.savePosition();
+    this.age += dt;
+
+    const anchor = this.anchor;
+    if (this.state === 'diving') {
+      this.position.x += this.velocity.x * dt;
+      this.position.y += this.velocity.y * dt;
+      this.position.z += this.velocity.z * dt;
+    } else if (this.state === 'leaving') {
+      this.seek(vector(anchor.x, anchor.y, -horizonDistance - 10), enemyEntrySpeed, dt);
+    } else if (this.behaviour === 'dive') {
+      // Hover at the holding point, then lunge at where the player is
+      const remaining = this.seek(anchor, enemyEntrySpeed, dt);
+      if (remaining === 0 && this.state === 'entering') {
+        this.state = 'active';
+        this.age = 0;
+      }
+      if (this.state === 'active' && this.age > 1.5) {
+        const player = game.player.position;
+        const dx = player.x - this.position.x;
+        const dy = player.y - this.position.y;
+        const dz = player.z - this.position.z;
+        const length = Math.hypot(dx, dy, dz);
+        this.velocity = vector(dx / length * enemyDiveSpeed, dy / length * enemyDiveSpeed, dz / length * enemyDiveSpeed);
+        this.state = 'diving';
+      }
+    } else {
+      // Strafers weave on their own; formations all follow the same sweep
+      // with each ship keeping its offset
+      const sweep = this.behaviour === 'formation'
+        ? vector(Math.sin(this.age * 0.6) * 8, 0, 0)
+        : vector(Math.sin(this.age * 1.2 + this.phase) * 9, Math.cos(this.age * 0.9 + this.phase) * 3, 0);
+      const offset = this.formationOffset || vector();
+      const target = vector(anchor.x + sweep.x + offset.x, anchor.y + sweep.y + offset.y, anchor.z + offset.z);
+      this.seek(target, this.state === 'entering' ? enemyEntrySpeed : 16, dt);
+      if (this.state === 'entering' && this.position.z >= target.z - 1) {
+        this.state = 'active';
+      }
+      if (this.state === 'active' && this.age > enemyStayTime) {
+        this.state = 'leaving';
+      }
+    }
+
+    // Shoot while in range and in front of the player
+    this.fireTimer -= dt;
+    if (this.fireTimer <= 0) {
+      const interval = enemyBehaviours[this.behaviour].fireInterval;
+      this.fireTimer = interval * (0.8 + game.random() * 0.4);
+      if (this.state !== 'leaving' && this.position.z > -horizonDistance + 5 &&
+          this.position.z < game.player.position.z - 5) {
+        game.fireEnemyShot(this.position);
+      }
+    }
+  }
+
+  get gone() {
+    return this.position.z > despawnDistance ||
+      (this.state === 'leaving' && this.position.z <= -horizonDistance - 5);
+  }
+}
+
+// Enemy fire, flying in a straight line at the speed and heading it was fired
+export class EnemyShot extends Entity {
+  constructor(x, y, z, velocity) {
+    super(x, y, z);
+    this.velocity = velocity;
+    this.hitboxRadius = 0.3;
+  }
+
+  update(dt) {
+    this.savePosition();
+    this.position.x += this.velocity.x * dt;
+    this.position.y += this.velocity.y * dt;
+    this.position.z += this.velocity.z * dt;
+  }
+
+  get expired() {
+    const p = this.position;
+    return p.z > despawnDistance || Math.abs(p.x) > projectileRange || Math.abs(p.y) > projectileRange;
+  }
+}
+
+// A boss: a core and weak-point pods, all moving together. level (1 for the
+// first boss) toughens it and speeds up its attacks
+export class Boss extends Entity {
+  constructor(level, seed) {
+    super(0, 0, -horizonDistance - 10);
+    this.level = level;
+    this.seed = seed;
+    this.bonus = 50 * level; // Score for beating it
+    this.state = 'entering'; // then 'fighting'
+    this.age = 0;
+
+    const toughness = 1 + (level - 1) * 0.5;
+    this.parts = bossParts.map(part => ({
+      name: part.name,
+      offset: vector(...part.offset),
+      position: vector(part.offset[0], part.offset[1], this.position.z),
+      hitboxRadius: part.radius,
+      maxHealth: part.health * toughness,
+      health: part.health * toughness,
+      destroyed: false
+    }));
+
+    this.attack = null; // { pattern, telegraph, shotsLeft, shotTimer } while attacking
+    this.attackTimer = 2;
+    this.attackInterval = Math.max(1.2, 3 - level * 0.4);
+  }
+
+  get core() {
+    return this.parts[0];
+  }
+
+  get pods() {
+    return this.parts.slice(1).filter(part => !part.destroyed);
+  }
+
+  // The core can't be damaged while any pod is left
+  get coreShielded() {
+    return this.pods.length > 0;
+  }
+
+  get health() {
+    return this.parts.reduce((total, part) => total + Math.max(part.health, 0), 0);
+  }
+
+  get maxHealth() {
+    return this.parts.reduce((total, part) => total + part.maxHealth, 0);
+  }
+
+  update(dt, game) {
+    this.savePosition();
+    this.age += dt;
+
+    // Fly in to the holding depth, then sway side to side
+    const target = this.state === 'entering'
+      ? vector(0, 0, bossHoldZ)
+      : vector(Math.sin(this.age * 0.5) * 6, Math.sin(this.age * 0.3) * 2, bossHoldZ);
+    const dx = target.x - this.position.x;
+    const dy = target.y - this.position.y;
+    const dz = target.z - this.position.z;
+    const length = Math.hypot(dx, dy, dz);
+    const stepLength = Math.min(length, bossSpeed * dt);
+    if (length > 0) {
+      this.position.x += dx / length * stepLength;
+      this.position.y += dy / length * stepLength;
+      this.position.z += dz / length * stepLength;
+    }
+    if (this.state === 'entering' && length - stepLength === 0) {
+      this.state = 'fighting';
+      this.age = 0;
+    }
+
+    this.parts.forEach(part => {
+      part.position.x = this.position.x + part.offset.x;
+      part.position.y = this.position.y + part.offset.y;
+      part.position.z = this.position.z + part.offset.z;
+    });
+
+    if (this.state === 'fighting') {
+      this.updateAttack(dt, game);
+    }
+  }
+
+  updateAttack(dt, game) {
+    if (!this.attack) {
+      this.attackTimer -= dt;
+      if (this.attackTimer > 0) return;
+
+      const patterns = Object.keys(bossAttacks).filter(name => {
+        const attack = bossAttacks[name];
+        return (!attack.podsRequired || this.pods.length > 0) && (!attack.coreExposed || !this.coreShielded);
+      });
+      const pattern = patterns[Math.floor(game.random() * patterns.length)];
+      this.attack = {
+        pattern,
+        telegraph: bossAttacks[pattern].telegraph,
+        shotsLeft: pattern === 'aimed' ? 3 + this.level : 1,
+        shotTimer: 0
+      };
+      return;
+    }
+
+    // Charging up
+    if (this.attack.telegraph > 0) {
+      this.attack.telegraph -= dt;
+      return;
+    }
+
+    this.attack.shotTimer -= dt;
+    if (this.attack.shotTimer > 0) return;
+    this.fire(this.attack.pattern, game);
+    this.attack.shotTimer = 0.25;
+    this.attack.shotsLeft--;
+    if (this.attack.shotsLeft <= 0) {
+      this.attack = null;
+      this.attackTimer = this.attackInterval;
+    }
+  }
+
+  fire(pattern, game) {
+    const core = this.core.position;
+    const speed = enemyShotSpeed * (1 + this.level * 0.1);
+    if (pattern === 'fan') {
+      const count = 5 + this.level * 2;
+      for (let i = 0; i < count; i++) {
+        const angle = (i / (count - 1) - 0.5) * 1.2;
+        game.fireEnemyShot(core, vector(Math.sin(angle) * speed, 0, Math.cos(angle) * speed));
+      }
+    } else if (pattern === 'aimed') {
+      this.pods.forEach(pod => game.fireEnemyShot(pod.position));
+    } else if (pattern === 'ring') {
+      const count = 10 + this.level * 2;
+      for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        game.fireEnemyShot(core, vector(Math.cos(angle) * 4, Math.sin(angle) * 4, speed));
+      }
+    }
+  }
+}
+
+export class PowerUp extends Entity {
+  constructor(x, y, z, type, speed) {
+    super(x, y, z);
+    this.type = type;
+    this.speed = speed;
+    this.hitboxRadius = 1; // Generous, they're meant to be caught
+  }
+
+  update(dt) {
+    this.savePosition();
+    this.position.z += this.speed * dt;
+  }
+}
+
+// The game itself. Renderers subscribe with on() to learn about entities
+// being added or removed and other game events:
+//   levelStarted, levelComplete, obstacleAdded / obstacleRemoved, obstacleDamaged, enemyAdded /
+//   enemyRemoved, enemyDamaged, enemyShotAdded / enemyShotRemoved, bossAdded /
+//   bossRemoved, bossPartDamaged, bossPartDestroyed, bossDefeated, projectileAdded / projectileRemoved,
+//   powerUpAdded / powerUpRemoved, powerUpCollected, explosion, scoreChanged,
+//   playerDamaged, lifeLost, playerRespawned, playerKilled (the last life)
+// The laser beam, while it's firing, is in game.laser as { origin, length }
+export class GameSimulation {
+  constructor(options = {}) {
+    // Hooks a renderer can replace: a bounds check for the player (e.g. the
+    // camera frustum) and the point asteroids scale relative to (the camera)
+    this.isWithinBounds = options.isWithinBounds || isWithinDefaultBounds;
+    this.viewPoint = options.viewPoint || vector(0, 0, 20);
+
+    this.startingLives = options.lives ?? startingLives;
+    this.maxHull = options.hull ?? maxHull;
+    if (!Number.isInteger(this.startingLives) || this.startingLives < 1) {
+      throw new Error('lives must be a whole number, at least 1');
+    }
+    if (!(this.maxHull > 0)) {
+      throw new Error('hull must be more than 0');
+    }
+
+    // Levels to play through, in order
+    this.levels = options.levels || [endlessLevel];
+
+    this.targetGrid = new SpatialGrid(gridCellSize);
+    this.listeners = {};
+    this.reset(options.seed);
+  }
+
+  on(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  emit(type, ...args) {
+    (this.listeners[type] || []).forEach(listener => listener(...args));
+  }
+
+  // Start over, optionally from a given seed and level. The same seed, level
+  // and inputs at the same steps always produce the same run. Listeners are
+  // kept but no removal events are sent for the previous run's entities,
+  // renderers clear their own views
+  reset(seed = randomSeed(), levelIndex = 0) {
+    this.seed = seed;
+    this.random = createRandom(seed);
+    this.score = 0;
+    this.time = 0;
+    this.dead = false; // Out of lives
+    this.lives = this.startingLives;
+    this.shotsFired = 0;
+    this.asteroidsHit = 0;
+    this.destroyed = 0; // Asteroids and enemy ships shot down
+    this.nextSpawnTime = 0;
+    this.obstacles = [];
+    this.projectiles = [];
+    this.powerUps = [];
+    this.enemies = [];
+    this.enemyShots = [];
+    this.boss = null;
+    this.bossesDefeated = 0;
+    this.laser = null;
+    this.player = new Player(this);
+    this.startLevel(levelIndex);
+  }
+
+  // Levels after the last one are endless
+  startLevel(index) {
+    this.levelIndex = index;
+    this.level = this.levels[index] || endlessLevel;
+    this.levelTime = 0; // Stands still while a boss is up
+    this.waveIndex = 0;
+    this.spawnQueue = []; // { time, spawn } from started waves, by level time
+    this.intermission = 0;
+    this.nextBossScore = this.score + firstBossScore;
+    this.levelStart = {
+      time: this.time,
+      score: this.score,
+      shotsFired: this.shotsFired,
+      asteroidsHit: this.asteroidsHit,
+      destroyed: this.destroyed
+    };
+    this.emit('levelStarted', this.level, index);
+  }
+
+  // Every wave has been sent and the field is clear
+  get levelCleared() {
+    return !this.level.endless &&
+      this.waveIndex === this.level.waves.length &&
+      this.spawnQueue.length === 0 &&
+      this.obstacles.length === 0 &&
+      this.enemies.length === 0 &&
+      !this.boss;
+  }
+
+  completeLevel() {
+    const start = this.levelStart;
+    const shotsFired = this.shotsFired - start.shotsFired;
+    const summary = {
+      level: this.level,
+      time: this.time - start.time,
+      points: this.score - start.score,
+      destroyed: this.destroyed - start.destroyed,
+      accuracy: shotsFired > 0 ? (this.asteroidsHit - start.asteroidsHit) / shotsFired : 0
+    };
+    this.intermission = levelIntermission;
+    this.emit('levelComplete', summary);
+  }
+
+  // Spawning for the current level. Endless runs the procedural waves, other
+  // levels work through their wave list
+  updateLevel(dt) {
+    if (this.intermission > 0) {
+      this.intermission -= dt;
+      if (this.intermission <= 0) {
+        this.startLevel(this.levelIndex + 1);
+      }
+      return;
+    }
+
+    if (this.level.endless) {
+      if (!this.boss && this.score >= this.nextBossScore) {
+        this.startBoss();
+      }
+      if (!this.boss && this.time >= this.nextSpawnTime) {
+        this.spawnObstacles();
+      }
+      return;
+    }
+
+    if (!this.boss) {
+      this.levelTime += dt;
+    }
+    const waves = this.level.waves;
+    while (this.waveIndex < waves.length && waves[this.waveIndex].at <= this.levelTime) {
+      this.queueWave(waves[this.waveIndex++]);
+    }
+    while (this.spawnQueue.length > 0 && this.spawnQueue[0].time <= this.levelTime) {
+      this.spawnFromLevel(this.spawnQueue.shift().spawn);
+    }
+
+    if (this.levelCleared) {
+      this.completeLevel();
+    }
+  }
+
+  // Schedule each of a wave's spawns, count times interval seconds apart
+  queueWave(wave) {
+    wave.spawns.forEach(spawn => {
+      for (let i = 0; i < spawn.count; i++) {
+        this.spawnQueue.push({ time: wave.at + i * spawn.interval, spawn });
+      }
+    });
+    this.spawnQueue.sort((a, b) => a.time - b.time);
+  }
+
+  spawnFromLevel(spawn) {
+    const x = spawn.region.x[0] + this.random() * (spawn.region.x[1] - spawn.region.x[0]);
+    const y = spawn.region.y[0] + this.random() * (spawn.region.y[1] - spawn.region.y[0]);
+
+    if (spawn.obstacle) {
+      const obstacle = this.createObstacle(x, y, spawn.obstacle, spawn.speed, 1, spawn.size);
+      if (spawn.trajectory !== 'straight') {
+        this.aimAtPlayer(obstacle, spawn.trajectory === 'curved');
+      }
+      this.obstacles.push(obstacle);
+      this.emit('obstacleAdded', obstacle);
+    } else if (spawn.enemy) {
+      this.addEnemies(x, y, spawn.enemy);
+    } else if (spawn.powerUp) {
+      if (this.random() < spawn.chance) {
+        this.addPowerUp(x, y, spawn.powerUp, spawn.speed);
+      }
+    } else if (spawn.boss && !this.boss) {
+      this.startBoss();
+    }
+  }
+
+  // Share of fired projectiles that hit an asteroid, 0 to 1
+  get accuracy() {
+    return this.shotsFired > 0 ? this.asteroidsHit / this.shotsFired : 0;
+  }
+
+  addScore(points) {
+    this.score += points;
+    this.emit('scoreChanged', this.score);
+  }
+
+  fireProjectile(weapon = 'blaster', angle = 0) {
+    const projectile = new Projectile(
+      this.player.position.x,
+      this.player.position.y,
+      this.player.position.z - 1,
+      weapon,
+      angle
+    );
+    this.projectiles.push(projectile);
+    this.shotsFired++;
+    this.emit('projectileAdded', projectile);
+  }
+
+  // Cast the laser straight ahead from the ship, damaging the first asteroid
+  // it touches. Sets game.laser for drawing and returns whether it hit
+  fireLaser(damage) {
+    const origin = vector(this.player.position.x, this.player.position.y, this.player.position.z - 1);
+    let hit = null;
+    let length = projectileRange + origin.z;
+    const check = (target, index, damageTarget) => {
+      const p = target.position;
+      const along = origin.z - p.z;
+      if (along > 0 && along < length && Math.hypot(p.x - origin.x, p.y - origin.y) < target.hitboxRadius) {
+        hit = { index, damageTarget };
+        length = along;
+      }
+    };
+    this.obstacles.forEach((obstacle, i) => check(obstacle, i, this.damageObstacle));
+    this.enemies.forEach((enemy, i) => check(enemy, i, this.damageEnemy));
+    if (this.boss) {
+      this.boss.parts.forEach((part, i) => {
+        if (!part.destroyed) check(part, i, this.damageBossPart);
+      });
+    }
+
+    this.laser = { origin, length };
+    if (!hit) return false;
+    hit.damageTarget.call(this, hit.index, damage);
+    return true;
+  }
+
+  // Everything the player can shoot, for homing missiles
+  get targets() {
+    const targets = this.obstacles.concat(this.enemies);
+    if (this.boss) {
+      targets.push(...this.boss.parts.filter(part => !part.destroyed));
+    }
+    return targets;
+  }
+
+  // Hand a hit to the damage method for whatever kind of target it is
+  damageTarget(target, damage) {
+    if (target instanceof Obstacle) {
+      return this.damageObstacle(this.obstacles.indexOf(target), damage);
+    }
+    if (target instanceof Enemy) {
+      return this.damageEnemy(this.enemies.indexOf(target), damage);
+    }
+    return this.damageBossPart(this.boss.parts.indexOf(target), damage);
+  }
+
+  // Broadphase for projectile hits: every target, padded by how far it moved
+  // this step so swept tests against it can't miss
+  buildTargetGrid(targets) {
+    const grid = this.targetGrid;
+    grid.clear();
+    targets.forEach(target => {
+      const moved = target.previousPosition ? distance(target.position, target.previousPosition) : 0;
+      grid.insert(target, target.position, target.hitboxRadius + moved);
+    });
+    return grid;
+  }
+
+  // The first target a projectile touched on its way from its previous
+  // position to its current one, or null. Each target is swept in its own
+  // frame, so a rock moving across the shot's path is caught as well
+  findProjectileHit(projectile, grid) {
+    const start = projectile.previousPosition;
+    const end = projectile.position;
+    const center = vector((start.x + end.x) / 2, (start.y + end.y) / 2, (start.z + end.z) / 2);
+    const reach = distance(start, end) / 2 + projectile.hitboxRadius;
+
+    let hit = null;
+    let firstTime = Infinity;
+    grid.query(center, reach).forEach(target => {
+      if (target.removed || target.destroyed) return; // Already shot down this step
+      const previous = target.previousPosition || target.position;
+      const relativeStart = vector(
+        start.x - (target.position.x - previous.x),
+        start.y - (target.position.y - previous.y),
+        start.z - (target.position.z - previous.z)
+      );
+      const time = sweepSphere(relativeStart, end, target.position, target.hitboxRadius + projectile.hitboxRadius);
+      if (time !== null && time < firstTime) {
+        hit = target;
+        firstTime = time;
+      }
+    });
+    return hit;
+  }
+
+  // Returns whether the enemy was destroyed
+  damageEnemy(index, damage) {
+    const enemy = this.enemies[index];
+    enemy.health -= damage;
+    if (enemy.health > 0) {
+      this.emit('enemyDamaged', enemy);
+      return false;
+    }
+
+    this.emit('explosion', enemy.position);
+    this.removeEnemy(index);
+    this.destroyed++;
+    this.addScore(enemy.points);
+    return true;
+  }
+
+  // Fire an enemy shot from a point just in front of origin, aimed at the
+  // player unless given a velocity
+  fireEnemyShot(origin, velocity = null) {
+    const x = origin.x;
+    const y = origin.y;
+    const z = origin.z + 1.5;
+    if (!velocity) {
+      const player = this.player.position;
+      const dx = player.x - x;
+      const dy = player.y - y;
+      const dz = player.z - z;
+      const length = Math.hypot(dx, dy, dz);
+      velocity = vector(dx / length * enemyShotSpeed, dy / length * enemyShotSpeed, dz / length * enemyShotSpeed);
+    }
+    const shot = new EnemyShot(x, y, z, velocity);
+    this.enemyShots.push(shot);
+    this.emit('enemyShotAdded', shot);
+  }
+
+  startBoss() {
+    this.boss = new Boss(this.bossesDefeated + 1, nextSeed(this.random));
+    this.emit('bossAdded', this.boss);
+  }
+
+  // Returns whether the part was destroyed. Hits on the shielded core are
+  // absorbed
+  damageBossPart(index, damage) {
+    const boss = this.boss;
+    const part = boss.parts[index];
+    if (part === boss.core && boss.coreShielded) return false;
+
+    part.health -= damage;
+    if (part.health > 0) {
+      this.emit('bossPartDamaged', boss, part);
+      return false;
+    }
+
+    part.destroyed = true;
+    this.emit('explosion', part.position);
+    this.emit('bossPartDestroyed', boss, part);
+    if (part === boss.core) {
+      this.defeatBoss();
+    }
+    return true;
+  }
+
+  defeatBoss() {
+    const boss = this.boss;
+    this.boss = null;
+    this.bossesDefeated++;
+    this.nextBossScore = this.score + boss.bonus + bossInterval;
+    this.nextSpawnTime = this.time + bossBreather;
+    this.addScore(boss.bonus);
+    this.emit('bossDefeated', boss);
+    this.emit('bossRemoved', boss);
+  }
+
+  // Returns whether the obstacle was destroyed
+  damageObstacle(index, damage) {
+    const obstacle = this.obstacles[index];
+    obstacle.health -= damage;
+    if (obstacle.health > 0) {
+      this.emit('obstacleDamaged', obstacle);
+      return false;
+    }
+
+    this.emit('explosion', obstacle.position);
+    this.removeObstacle(index);
+    this.destroyed++;
+    this.breakObstacle(obstacle);
+    const points = asteroidTiers[obstacle.tier].points * obstacleTypes[obstacle.type].points;
+    this.addScore(Math.max(1, Math.round(points)));
+    return true;
+  }
+
+  // Split a destroyed asteroid into smaller ones fanning out from its path
+  breakObstacle(obstacle) {
+    const type = obstacleTypes[obstacle.type];
+    const fragments = 'fragments' in type ? type.fragments : asteroidTiers[obstacle.tier].fragments;
+    if (!fragments) return;
+
+    const fragmentType = type.fragmentType || obstacle.type;
+    // Fragments move at their own type's pace
+    const speed = obstacle.speed / type.speed * obstacleTypes[fragmentType].speed;
+    const tier = Math.min(obstacle.tier + 1, asteroidTiers.length - 1);
+
+    const [min, max] = fragments;
+    const count = min + Math.floor(this.random() * (max - min + 1));
+    for (let i = 0; i < count; i++) {
+      const { x, y, z } = obstacle.position;
+      const fragment = new Obstacle(
+        x, y, z,
+        obstacle.size * (type.fragmentScale || fragmentSizeScale),
+        speed * (0.9 + this.random() * 0.2),
+        obstacle.rotationSpeed * 1.5,
+        nextSeed(this.random),
+        tier,
+        fragmentType
+      );
+
+      // Evenly spaced around the parent's heading, with a little jitter
+      const angle = (i / count + this.random() * 0.15) * Math.PI * 2;
+      const direction = vector(
+        obstacle.direction.x + Math.cos(angle) * fragmentSpread,
+        obstacle.direction.y + Math.sin(angle) * fragmentSpread,
+        obstacle.direction.z
+      );
+      const length = Math.hypot(direction.x, direction.y, direction.z);
+      fragment.direction = vector(direction.x / length, direction.y / length, direction.z / length);
+      fragment.scale = obstacle.scale;
+
+      this.obstacles.push(fragment);
+      this.emit('obstacleAdded', fragment);
+    }
+  }
+
+  spawnObstacle(difficulty) {
+    const spawnWidth = 40;
+    const spawnHeight = 20;
+
+    const x = (this.random() - 0.5) * spawnWidth;
+    const y = (this.random() - 0.5) * spawnHeight;
+
+    const typeName = this.pickObstacleType(difficulty);
+    const rotationScale = 1 + difficulty.cappedScore / 50;
+    const obstacle = this.createObstacle(x, y, typeName, difficulty.obstacleSpeed, rotationScale);
+    this.aimObstacle(obstacle, difficulty);
+    this.obstacles.push(obstacle);
+    this.emit('obstacleAdded', obstacle);
+  }
+
+  // A new obstacle of the given type at the horizon. speed is scaled by the
+  // type's own speed, and the size comes from the type unless given
+  createObstacle(x, y, typeName, speed, rotationScale = 1, sizeRange = null) {
+    const type = obstacleTypes[typeName];
+    const [minSize, maxSize] = sizeRange || type.size;
+    const size = minSize + this.random() * (maxSize - minSize);
+
+    const rotationSpeed = (this.random() * 1.2 - 0.6) * rotationScale;
+
+    const tier = 'tier' in type ? type.tier : (size >= largeAsteroidSize ? 0 : 1);
+    return new Obstacle(
+      x, y, -horizonDistance, size, speed * type.speed, rotationSpeed, nextSeed(this.random),
+      tier, typeName
+    );
+  }
+
+  // Weighted random pick from the types the difficulty allows
+  pickObstacleType(difficulty) {
+    return pickWeighted(difficulty.obstacleWeights, this.random);
+  }
+
+  // Obstacles fly straight down z unless the difficulty rolls an aimed one,
+  // and aimed ones get their own roll for curving
+  aimObstacle(obstacle, difficulty) {
+    if (this.random() < difficulty.aimedChance) {
+      this.aimAtPlayer(obstacle, this.random() < difficulty.curvedChance);
+    }
+  }
+
+  // Point an obstacle at somewhere near the player's current position.
+  // Curving ones aim off to the side so their bend brings them back in
+  aimAtPlayer(obstacle, curved) {
+    const player = this.player.position;
+    const target = vector(
+      player.x + (this.random() - 0.5) * 2 * aimSpread,
+      player.y + (this.random() - 0.5) * 2 * aimSpread,
+      player.z
+    );
+
+    if (curved) {
+      const angle = this.random() * Math.PI * 2;
+      obstacle.curve = vector(Math.cos(angle) * curveRate, Math.sin(angle) * curveRate, 0);
+      // Roughly how far the curve drifts it sideways by the time it arrives
+      const travelTime = (target.z - obstacle.position.z) / obstacle.speed;
+      const drift = 0.5 * travelTime * travelTime * obstacle.speed;
+      target.x -= obstacle.curve.x * drift;
+      target.y -= obstacle.curve.y * drift;
+    }
+
+    const dx = target.x - obstacle.position.x;
+    const dy = target.y - obstacle.position.y;
+    const dz = target.z - obstacle.position.z;
+    const length = Math.hypot(dx, dy, dz);
+    obstacle.direction = vector(dx / length, dy / length, dz / length);
+  }
+
+  // Spawn a random power-up at the horizon
+  spawnPowerUp(difficulty) {
+    const spawnWidth = 30;
+    const spawnHeight = 15;
+
+    const x = (this.random() - 0.5) * spawnWidth;
+    const y = (this.random() - 0.5) * spawnHeight;
+    this.addPowerUp(x, y, 'random', difficulty.powerUpSpeed);
+  }
+
+  // type can be 'random' for any of them
+  addPowerUp(x, y, type, speed) {
+    if (type === 'random') {
+      const types = Object.keys(powerUpTypes);
+      type = types[Math.floor(this.random() * types.length)];
+    }
+
+    const powerUp = new PowerUp(x, y, -horizonDistance, type, speed);
+    this.powerUps.push(powerUp);
+    this.emit('powerUpAdded', powerUp);
+  }
+
+  // Spawn one wave and schedule the next
+  spawnObstacles() {
+    const difficulty = getDifficulty(this.score);
+
+    for (let i = 0; i < difficulty.numObstacles; i++) {
+      this.spawnObstacle(difficulty);
+    }
+
+    if (this.random() < powerUpChance) {
+      this.spawnPowerUp(difficulty);
+    }
+
+    if (this.random() < difficulty.enemyChance && this.enemies.length < maxEnemies) {
+      this.spawnEnemies(difficulty);
+    }
+
+    this.nextSpawnTime = this.time + difficulty.spawnDelay;
+  }
+
+  spawnEnemies(difficulty) {
+    const behaviour = pickWeighted(difficulty.enemyWeights, this.random);
+    const x = (this.random() - 0.5) * 16;
+    const y = (this.random() - 0.5) * 8;
+    this.addEnemies(x, y, behaviour);
+  }
+
+  // One enemy, or a whole formation, entering from the horizon
+  addEnemies(x, y, behaviour) {
+    const z = -horizonDistance;
+
+    if (behaviour !== 'formation') {
+      this.addEnemy(new Enemy(x, y, z, behaviour, nextSeed(this.random)));
+      return;
+    }
+
+    // A V: the leader in front, wingmen alternating left and right behind it
+    const [min, max] = enemyBehaviours.formation.count;
+    const count = min + Math.floor(this.random() * (max - min + 1));
+    const seed = nextSeed(this.random);
+    for (let i = 0; i < count; i++) {
+      const rank = Math.ceil(i / 2);
+      const side = i % 2 === 0 ? 1 : -1;
+      const offset = vector(rank * side * 3, 0, -rank * 2);
+      this.addEnemy(new Enemy(x + offset.x, y, z + offset.z, behaviour, seed, offset));
+    }
+  }
+
+  addEnemy(enemy) {
+    this.enemies.push(enemy);
+    this.emit('enemyAdded', enemy);
+  }
+
+  removeEnemy(index) {
+    const [enemy] = this.enemies.splice(index, 1);
+    enemy.removed = true;
+    this.emit('enemyRemoved', enemy);
+  }
+
+  removeEnemyShot(index) {
+    const [shot] = this.enemyShots.splice(index, 1);
+    this.emit('enemyShotRemoved', shot);
+  }
+
+  removeObstacle(index) {
+    const [obstacle] = this.obstacles.splice(index, 1);
+    obstacle.removed = true;
+    this.emit('obstacleRemoved', obstacle);
+  }
+
+  removeProjectile(index) {
+    const [projectile] = this.projectiles.splice(index, 1);
+    this.emit('projectileRemoved', projectile);
+  }
+
+  removePowerUp(index) {
+    const [powerUp] = this.powerUps.splice(index, 1);
+    this.emit('powerUpRemoved', powerUp);
+  }
+
+  // Advance the game by one fixed step of dt seconds. Everything freezes once
+  // the player has been killed
+  step(dt) {
+    if (this.dead) return;
+
+    this.time += dt;
+    this.updateLevel(dt);
+
+    const player = this.player;
+    this.laser = null;
+    player.update(dt);
+    if (player.wrecked) {
+      player.respawnTimer -= dt;
+      if (player.respawnTimer <= 0) {
+        this.respawnPlayer();
+      }
+    }
+
+    // Update obstacles
+    for (let i = this.obstacles.length - 1; i >= 0; i--) {
+      const obstacle = this.obstacles[i];
+      obstacle.update(dt, this.viewPoint);
+
+      // Remove if passed player
+      if (obstacle.position.z > despawnDistance) {
+        this.removeObstacle(i);
+        continue;
+      }
+
+      if (player.vulnerable && player.touches(obstacle.position, obstacle.hitboxRadius)) {
+        if (!player.shield) {
+          this.damagePlayer(obstacle.size * hullDamagePerSize, obstacle);
+          if (this.dead) return;
+        }
+        this.emit('explosion', obstacle.position);
+        this.removeObstacle(i);
+      }
+    }
+
+    // Update enemies and their fire
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+      enemy.update(dt, this);
+
+      if (enemy.gone) {
+        this.removeEnemy(i);
+        continue;
+      }
+
+      if (player.vulnerable && player.touches(enemy.position, enemy.hitboxRadius)) {
+        if (!player.shield) {
+          this.damagePlayer(enemyRamDamage, enemy);
+          if (this.dead) return;
+        }
+        this.emit('explosion', enemy.position);
+        this.removeEnemy(i);
+      }
+    }
+
+    // Ramming the boss costs a whole ship
+    if (this.boss) {
+      this.boss.update(dt, this);
+      if (player.vulnerable && !player.shield && player.touches(this.boss.position, this.boss.core.hitboxRadius)) {
+        this.damagePlayer(player.hull, this.boss);
+        if (this.dead) return;
+      }
+    }
+
+    for (let i = this.enemyShots.length - 1; i >= 0; i--) {
+      const shot = this.enemyShots[i];
+      shot.update(dt);
+
+      if (player.vulnerable && player.touches(shot.position, shot.hitboxRadius)) {
+        if (!player.shield) {
+          this.damagePlayer(enemyShotDamage, shot);
+          if (this.dead) return;
+        }
+        this.removeEnemyShot(i);
+      } else if (shot.expired) {
+        this.removeEnemyShot(i);
+      }
+    }
+
+    // Update power-ups
+    for (let i = this.powerUps.length - 1; i >= 0; i--) {
+      const powerUp = this.powerUps[i];
+      powerUp.update(dt);
+
+      if (!player.wrecked && player.touches(powerUp.position, powerUp.hitboxRadius)) {
+        player.activatePowerUp(powerUp.type);
+        this.emit('powerUpCollected', powerUp.type);
+        this.removePowerUp(i);
+      } else if (powerUp.position.z > despawnDistance) {
+        this.removePowerUp(i);
+      }
+    }
+
+    // Update projectiles. Fast ones can cross a small rock in one step, so
+    // each is tested along the whole path it moved
+    const targets = this.targets;
+    const grid = this.buildTargetGrid(targets);
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const projectile = this.projectiles[i];
+      projectile.update(dt, targets);
+
+      const hit = this.findProjectileHit(projectile, grid);
+      if (hit) {
+        this.damageTarget(hit, projectile.damage);
+        this.asteroidsHit++;
+      }
+
+      if (hit || projectile.expired) {
+        this.removeProjectile(i);
+      }
+    }
+  }
+
+  // Knock hull off the player, losing a life if it runs out
+  damagePlayer(amount, source) {
+    const player = this.player;
+    player.hull = Math.max(player.hull - amount, 0);
+    this.emit('playerDamaged', amount, source);
+    if (player.hull === 0) {
+      this.loseLife(source);
+    }
+  }
+
+  loseLife(killer) {
+    this.lives--;
+    if (this.lives <= 0) {
+      this.killPlayer(killer);
+      return;
+    }
+
+    this.player.wreck();
+    this.emit('explosion', this.player.position);
+    this.emit('lifeLost', killer);
+  }
+
+  respawnPlayer() {
+    this.player.respawn();
+    this.emit('playerRespawned');
+  }
+
+  // The last life is gone and the run is over
+  killPlayer(killer) {
+    this.dead = true;
+
+    // Slow down game physics
+    this.player.velocity.x *= 0.2;
+    this.player.velocity.y *= 0.2;
+    if (killer.speed) {
+      killer.speed *= 0.2;
+    }
+
+    this.emit('playerKilled', killer);
+  }
+}
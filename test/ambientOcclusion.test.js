@@ -0,0 +1,64 @@
+// Baked ambient occlusion on small hand-built meshes. Run with npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bakeAmbientOcclusion } from '../ambientOcclusion.js';
+
+// Non-indexed triangle list from corner points and faces wound
+// counterclockwise seen from outside
+function triangles(points, faces) {
+  return new Float32Array(faces.flat().flatMap(i => points[i]));
+}
+
+// Square patch of ground facing +z, a size x size grid of cells with a
+// vertex in the middle at height depth
+function patchWithPit(size, depth) {
+  const points = [];
+  const faces = [];
+  const index = (x, y) => y * (size + 1) + x;
+  for (let y = 0; y <= size; y++) {
+    for (let x = 0; x <= size; x++) {
+      const middle = x === size / 2 && y === size / 2;
+      points.push([x - size / 2, y - size / 2, middle ? depth : 0]);
+    }
+  }
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      faces.push([index(x, y), index(x + 1, y), index(x + 1, y + 1)]);
+      faces.push([index(x, y), index(x + 1, y + 1), index(x, y + 1)]);
+    }
+  }
+  return { positions: triangles(points, faces), middle: index(size / 2, size / 2), points };
+}
+
+// Bake value of every copy of the point at the given position
+function aoAt(positions, ao, [x, y, z]) {
+  const values = [];
+  for (let i = 0; i < ao.length; i++) {
+    if (positions[i * 3] === x && positions[i * 3 + 1] === y && positions[i * 3 + 2] === z) values.push(ao[i]);
+  }
+  return values;
+}
+
+test('a convex mesh is fully open', () => {
+  const points = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+  const octahedron = triangles(points, [
+    [0, 2, 4], [2, 1, 4], [1, 3, 4], [3, 0, 4],
+    [2, 0, 5], [1, 2, 5], [3, 1, 5], [0, 3, 5]
+  ]);
+  const ao = bakeAmbientOcclusion(octahedron, { rays: 16 });
+  assert.equal(ao.length, octahedron.length / 3);
+  ao.forEach(value => assert.equal(value, 1));
+});
+
+test('a vertex at the bottom of a pit is darker than flat ground', () => {
+  const { positions, middle, points } = patchWithPit(4, -1);
+  const ao = bakeAmbientOcclusion(positions, { rays: 24, maxDistance: 3 });
+
+  const pit = aoAt(positions, ao, points[middle]);
+  const corner = aoAt(positions, ao, points[0]);
+  assert.ok(pit.length > 1 && corner.length > 0);
+  pit.forEach(value => assert.equal(value, pit[0], 'every copy of a vertex bakes the same'));
+  corner.forEach(value => assert.equal(value, 1));
+  assert.ok(pit[0] < 0.9, `pit is ${pit[0]}`);
+});
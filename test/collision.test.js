@@ -0,0 +1,73 @@
+// Collision shapes, the broadphase grid, and fast projectiles not passing
+// through rocks between steps. Run with npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialGrid, capsuleOverlapsSphere, sweepSphere } from '../collision.js';
+import { GameSimulation, Obstacle, Projectile } from '../simulation.js';
+
+const step = 1 / 60;
+
+function distanceTo(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+test('sweepSphere finds when a moving point first touches a sphere', () => {
+  const center = { x: 0, y: 0, z: 0 };
+  const time = sweepSphere({ x: 0, y: 0, z: 10 }, { x: 0, y: 0, z: -10 }, center, 1);
+  assert.equal(time, 0.45); // 9 of the 20 units
+
+  assert.equal(sweepSphere({ x: 0, y: 0, z: 0.5 }, { x: 0, y: 0, z: 5 }, center, 1), 0, 'already touching');
+  assert.equal(sweepSphere({ x: 0, y: 0, z: 10 }, { x: 0, y: 0, z: 5 }, center, 1), null, 'stops short');
+  assert.equal(sweepSphere({ x: 3, y: 0, z: 10 }, { x: 3, y: 0, z: -10 }, center, 1), null, 'passes beside');
+});
+
+test('sweepSphere returns null when moving away', () => {
+  const center = { x: 0, y: 0, z: 0 };
+  assert.equal(sweepSphere({ x: 0, y: 0, z: 2 }, { x: 0, y: 0, z: 10 }, center, 1), null);
+  assert.equal(sweepSphere({ x: 2, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, center, 1), null, 'not moving');
+});
+
+test('capsuleOverlapsSphere measures from the nearest point on the segment', () => {
+  const capsule = { start: { x: -2, y: 0, z: 0 }, end: { x: 2, y: 0, z: 0 }, radius: 0.5 };
+  assert.ok(capsuleOverlapsSphere(capsule, { x: 1, y: 1.4, z: 0 }, 1), 'beside the middle');
+  assert.ok(capsuleOverlapsSphere(capsule, { x: 3.4, y: 0, z: 0 }, 1), 'past an end');
+  assert.ok(!capsuleOverlapsSphere(capsule, { x: 0, y: 1.6, z: 0 }, 1));
+  assert.ok(!capsuleOverlapsSphere(capsule, { x: 3.6, y: 0, z: 0 }, 1));
+});
+
+test('a grid query only returns items in neighbouring cells', () => {
+  const grid = new SpatialGrid(8);
+  grid.insert('here', { x: 1, y: 1, z: 1 }, 1);
+  grid.insert('next door', { x: 9, y: 1, z: 1 }, 1);
+  grid.insert('far', { x: 40, y: 0, z: -40 }, 1);
+  grid.insert('big', { x: 20, y: 0, z: 0 }, 14); // Reaches back to the origin's cell
+
+  const found = grid.query({ x: 6, y: 1, z: 1 }, 3);
+  assert.deepEqual(found, new Set(['here', 'next door', 'big']));
+  assert.deepEqual([...grid.query({ x: 40, y: 0, z: -40 }, 0.5)], ['far']);
+
+  grid.clear();
+  assert.equal(grid.query({ x: 1, y: 1, z: 1 }, 1).size, 0);
+});
+
+test('a projectile crossing a small rock within one step hits it', () => {
+  const game = new GameSimulation({ seed: 1 });
+  game.nextSpawnTime = Infinity; // Just the one rock
+  const rock = new Obstacle(0, 0, -30, 0.4, 0, 0, 1);
+  game.obstacles.push(rock);
+
+  // Starts in front of the rock and would end a step later behind it
+  const projectile = new Projectile(0, 0, -27, 'blaster');
+  projectile.velocity.z = -360;
+  game.projectiles.push(projectile);
+  const end = { x: 0, y: 0, z: -27 - 360 * step };
+  const reach = rock.hitboxRadius + projectile.hitboxRadius;
+  assert.ok(distanceTo(projectile.position, rock.position) > reach);
+  assert.ok(distanceTo(end, rock.position) > reach);
+
+  game.step(step);
+
+  assert.equal(game.asteroidsHit, 1);
+  assert.ok(!game.projectiles.includes(projectile));
+});
@@ -0,0 +1,87 @@
+// Level file checks: the shipped levels parse, and each kind of broken spawn
+// is turned away with a message saying where. Run with npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseLevel } from '../levels.js';
+
+const levelsDir = new URL('../levels/', import.meta.url);
+
+function readJson(url) {
+  return JSON.parse(readFileSync(url, 'utf8'));
+}
+
+// A one-wave level around a single spawn
+function levelWith(spawn) {
+  return { id: 'test', name: 'Test', waves: [{ at: 0, spawns: [spawn] }] };
+}
+
+test('every shipped level parses', () => {
+  const files = readJson(new URL('index.json', levelsDir));
+  assert.ok(files.length > 0);
+
+  const ids = files.map(file => {
+    const level = parseLevel(readJson(new URL(file, levelsDir)), file);
+    assert.ok(level.waves.length > 0, `${file} has waves`);
+    return level.id;
+  });
+  assert.equal(new Set(ids).size, ids.length, 'level ids are unique');
+});
+
+test('spawns get their defaults and waves are sorted by start time', () => {
+  const level = parseLevel({
+    id: 'test',
+    name: 'Test',
+    waves: [
+      { at: 10, spawns: [{ enemy: 'strafe' }] },
+      { at: 0, spawns: [{ obstacle: 'rock' }] }
+    ]
+  });
+
+  assert.deepEqual(level.waves.map(wave => wave.at), [0, 10]);
+  assert.deepEqual(level.waves[0].spawns[0], {
+    obstacle: 'rock',
+    count: 1,
+    interval: 0,
+    region: { x: [-20, 20], y: [-10, 10] },
+    trajectory: 'straight',
+    speed: 12,
+    size: null,
+    chance: 1
+  });
+  assert.deepEqual(level.waves[1].spawns[0].region, { x: [-8, 8], y: [-4, 4] });
+});
+
+test('a level without its id, name or waves is rejected', () => {
+  assert.throws(() => parseLevel({ name: 'Test', waves: [] }, 'broken.json'),
+    { message: 'broken.json is missing its id, name or waves' });
+  assert.throws(() => parseLevel({ id: 'test', name: 'Test', waves: [{ spawns: [] }] }),
+    { message: 'level wave 1 is missing its start time or spawns' });
+});
+
+test('each malformed spawn is rejected with its message', () => {
+  const where = 'level wave 1 spawn 1';
+  const cases = [
+    [null, `${where} is not an object`],
+    [{ count: 2 }, `${where} needs exactly one of obstacle, enemy, powerUp or boss`],
+    [{ obstacle: 'rock', enemy: 'strafe' }, `${where} needs exactly one of obstacle, enemy, powerUp or boss`],
+    [{ obstacle: 'cheese' }, `${where} has unknown obstacle 'cheese'`],
+    [{ obstacle: 'constructor' }, `${where} has unknown obstacle 'constructor'`],
+    [{ enemy: 'toString' }, `${where} has unknown enemy 'toString'`],
+    [{ boss: false }, `${where} has unknown boss 'false'`],
+    [{ obstacle: 'rock', count: 0 }, `${where} has a bad count or interval`],
+    [{ obstacle: 'rock', count: 1.5 }, `${where} has a bad count or interval`],
+    [{ obstacle: 'rock', interval: -1 }, `${where} has a bad count or interval`],
+    [{ obstacle: 'rock', region: { x: [5, -5], y: [0, 0] } }, `${where} has a bad region`],
+    [{ obstacle: 'rock', region: { x: [0, 1] } }, `${where} has a bad region`],
+    [{ obstacle: 'rock', trajectory: 'zigzag' }, `${where} has unknown trajectory 'zigzag'`],
+    [{ obstacle: 'rock', speed: 0 }, `${where} has a bad speed, size or chance`],
+    [{ obstacle: 'rock', size: [2] }, `${where} has a bad speed, size or chance`],
+    [{ powerUp: 'random', chance: -0.5 }, `${where} has a bad speed, size or chance`]
+  ];
+
+  cases.forEach(([spawn, message]) => {
+    assert.throws(() => parseLevel(levelWith(spawn)), { message }, JSON.stringify(spawn));
+  });
+});
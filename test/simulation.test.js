@@ -0,0 +1,100 @@
+// Headless checks of the game rules: spawning difficulty and what happens
+// when the ship hits an asteroid. Run with npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation, Obstacle, getDifficulty, maxDifficultyScore } from '../simulation.js';
+
+const step = 1 / 60;
+
+// A motionless asteroid sitting right on the ship
+function placeObstacleOnPlayer(game, size) {
+  const { x, y, z } = game.player.position;
+  const obstacle = new Obstacle(x, y, z, size, 0, 0, 1);
+  game.obstacles.push(obstacle);
+  return obstacle;
+}
+
+function recordEvents(game, types) {
+  const events = [];
+  types.forEach(type => game.on(type, (...args) => events.push([type, ...args])));
+  return events;
+}
+
+test('difficulty ramps up with score until maxDifficultyScore', () => {
+  let previous = getDifficulty(0);
+  assert.equal(previous.numObstacles, 1);
+
+  for (let score = 1; score <= maxDifficultyScore; score++) {
+    const difficulty = getDifficulty(score);
+    assert.ok(difficulty.numObstacles >= previous.numObstacles, `more obstacles at ${score}`);
+    assert.ok(difficulty.spawnDelay <= previous.spawnDelay, `shorter delay at ${score}`);
+    previous = difficulty;
+  }
+
+  const start = getDifficulty(0);
+  const capped = getDifficulty(maxDifficultyScore);
+  assert.ok(capped.numObstacles > start.numObstacles);
+  assert.ok(capped.spawnDelay < start.spawnDelay);
+});
+
+test('difficulty stops changing past maxDifficultyScore', () => {
+  const capped = getDifficulty(maxDifficultyScore);
+  [maxDifficultyScore + 1, maxDifficultyScore * 2, 10000].forEach(score => {
+    assert.deepEqual(getDifficulty(score), capped);
+  });
+});
+
+test('spawnObstacles sends a wave sized and timed by the difficulty', () => {
+  [0, 10, 20, maxDifficultyScore, maxDifficultyScore * 3].forEach(score => {
+    const game = new GameSimulation({ seed: 42 });
+    game.score = score;
+    game.time = 5;
+    game.spawnObstacles();
+
+    const difficulty = getDifficulty(score);
+    assert.equal(game.obstacles.length, difficulty.numObstacles, `wave size at ${score}`);
+    assert.equal(game.nextSpawnTime, game.time + difficulty.spawnDelay, `next wave at ${score}`);
+  });
+});
+
+test('a shielded ship destroys the asteroid and takes no damage', () => {
+  const game = new GameSimulation({ seed: 1 });
+  const events = recordEvents(game, ['playerDamaged', 'lifeLost', 'playerKilled', 'obstacleRemoved']);
+  game.player.shield = true;
+  const obstacle = placeObstacleOnPlayer(game, 3);
+
+  game.step(step);
+
+  assert.equal(game.player.hull, game.maxHull);
+  assert.equal(game.lives, game.startingLives);
+  assert.equal(game.dead, false);
+  assert.ok(!game.obstacles.includes(obstacle));
+  assert.deepEqual(events, [['obstacleRemoved', obstacle]]);
+});
+
+test('an unshielded collision on the last ship ends the run', () => {
+  const game = new GameSimulation({ seed: 1, lives: 1 });
+  const events = recordEvents(game, ['playerKilled']);
+  const obstacle = placeObstacleOnPlayer(game, 3); // More than a full hull of damage
+
+  game.step(step);
+
+  assert.equal(game.dead, true);
+  assert.equal(game.lives, 0);
+  assert.deepEqual(events, [['playerKilled', obstacle]]);
+
+  // Nothing moves once the run is over
+  const time = game.time;
+  game.step(step);
+  assert.equal(game.time, time);
+});
+
+test('lives and hull options must allow at least one ship', () => {
+  [0, -1, 1.5, NaN].forEach(lives => {
+    assert.throws(() => new GameSimulation({ lives }), /lives/);
+  });
+  [0, -10].forEach(hull => {
+    assert.throws(() => new GameSimulation({ hull }), /hull/);
+  });
+});